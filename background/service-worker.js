@@ -7,27 +7,27 @@ const log = (...args) => {
   }
 };
 
-// Load debug mode setting on startup
-chrome.storage.sync.get(['debugMode'], (result) => {
-  DEBUG = result.debugMode || false;
-});
-
-// Listen for storage changes
-chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === 'sync' && changes.debugMode) {
-    DEBUG = changes.debugMode.newValue || false;
-  }
-});
-
 // Import the AT Protocol resolver and dependencies
 try {
   importScripts(
+    '../lib/site-rules.js',
+    '../lib/settings.js',
+    '../lib/url-mappers.js',
     '../lib/config/pds-endpoints.js',
+    '../lib/cache-store.js',
+    '../lib/request-coalescer.js',
     '../lib/handle-resolvers/dns-resolver.js',
     '../lib/handle-resolvers/wellknown-resolver.js',
     '../lib/handle-resolvers/xrpc-resolver.js',
     '../lib/handle-resolvers/index.js',
-    '../lib/atpi-resolver.js'
+    '../lib/atpi-resolver.js',
+    '../lib/repo-export.js',
+    '../lib/car/cid.js',
+    '../lib/car/dag-cbor.js',
+    '../lib/car/car-reader.js',
+    '../lib/car/mst.js',
+    '../lib/signing-keys.js',
+    '../lib/record-verify.js'
   );
   log('All scripts imported successfully');
 } catch (error) {
@@ -39,6 +39,243 @@ if (typeof atpiResolver === 'undefined') {
   console.error('[ATPI Service Worker] atpiResolver is not defined!');
 }
 
+// Current settings, kept in sync with storage
+let settings = typeof SETTINGS_DEFAULTS !== 'undefined' ? { ...SETTINGS_DEFAULTS } : {};
+
+// Push timeouts and cache limits into the resolver
+function applySettings() {
+  DEBUG = settings.debugMode;
+  updateBadge();
+  if (typeof atpiResolver === 'undefined') return;
+  
+  atpiResolver.configure({
+    handleTimeouts: {
+      dns: settings.dnsTimeout,
+      wellKnown: settings.wellKnownTimeout,
+      xrpc: settings.xrpcTimeout
+    },
+    cacheTtls: {
+      handle: settings.handleCacheTtl * 1000,
+      did: settings.didCacheTtl * 1000,
+      record: settings.recordCacheTtl * 1000
+    },
+    maxEntries: settings.cacheMaxEntries
+  });
+}
+
+// Mark the toolbar icon while the extension is turned off
+function updateBadge() {
+  chrome.action.setBadgeText({ text: settings.enabled === false ? 'off' : '' });
+  chrome.action.setBadgeBackgroundColor({ color: '#757575' });
+}
+
+// Handlers wait for this, the worker may have just been woken by their message
+const settingsLoaded = typeof loadSettings === 'undefined'
+  ? Promise.resolve()
+  : loadSettings()
+    .then(loaded => {
+      settings = loaded;
+      applySettings();
+      log('Settings loaded:', settings);
+    })
+    .catch(error => {
+      console.error('[ATPI Service Worker] Failed to load settings:', error);
+    });
+
+if (typeof onSettingsChanged !== 'undefined') {
+  onSettingsChanged(changes => {
+    Object.assign(settings, changes);
+    applySettings();
+    log('Settings changed:', changes);
+  });
+}
+
+// Keyboard shortcuts from the manifest's commands (rebindable at chrome://extensions/shortcuts)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  log('Command:', command);
+  
+  try {
+    if (command === 'toggle-enabled') {
+      await settingsLoaded;
+      await saveSettings({ enabled: !settings.enabled });
+    } else if (command === 'preview-focused-link' && tab && tab.id !== undefined) {
+      await chrome.tabs.sendMessage(tab.id, { type: 'PREVIEW_FOCUSED_LINK' });
+    }
+  } catch (error) {
+    // sendMessage fails on pages without the content script (chrome://, the Web Store)
+    log(`Command ${command} failed:`, error.message);
+  }
+});
+
+// Context menu for AT URIs the page scan can't reach: selections in code blocks,
+// inputs and editors, and link targets
+const CONTEXT_MENU_ITEMS = [
+  { id: 'atpi-preview', title: 'Preview AT record' },
+  { id: 'atpi-copy-uri', title: 'Copy as at:// URI' },
+  { id: 'atpi-copy-did', title: 'Copy DID' },
+  { id: 'atpi-open-atproto', title: 'Open in atproto.at' },
+  { id: 'atpi-open-xrpc', title: 'Open raw XRPC URL' }
+];
+
+// Menus persist across service worker restarts, so they're only created on install and update
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({ ...item, contexts: ['selection', 'link'] });
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || tab.id === undefined) return;
+  log('Context menu:', info.menuItemId, info.linkUrl || info.selectionText);
+  
+  // Copies and notices go to the frame the menu was opened in
+  const sendToPage = message => chrome.tabs.sendMessage(tab.id, message, { frameId: info.frameId || 0 });
+  
+  handleContextMenuClick(info, tab, sendToPage).catch(error => {
+    log(`Context menu ${info.menuItemId} failed:`, error.message);
+    // Pages without the content script (chrome://, the Web Store) can't show it
+    sendToPage({ type: 'SHOW_NOTICE', message: error.message }).catch(() => {});
+  });
+});
+
+// Run a context menu entry on the AT URI in the link or selection
+async function handleContextMenuClick(info, tab, sendToPage) {
+  const atUri = findAtUri(info.linkUrl) || findAtUri(info.selectionText);
+  if (!atUri) {
+    throw new Error('No AT URI, DID or handle found');
+  }
+  
+  const openTab = url => chrome.tabs.create({ url, index: tab.index + 1, openerTabId: tab.id });
+  
+  if (info.menuItemId === 'atpi-preview') {
+    await sendToPage({ type: 'SHOW_PREVIEW', url: atUri });
+  } else if (info.menuItemId === 'atpi-copy-uri') {
+    await sendToPage({ type: 'COPY_TEXT', text: atUri });
+  } else if (info.menuItemId === 'atpi-open-atproto') {
+    await openTab(`https://atproto.at://${atUri.substring(5)}`);
+  } else if (info.menuItemId === 'atpi-copy-did' || info.menuItemId === 'atpi-open-xrpc') {
+    if (typeof atpiResolver === 'undefined') {
+      throw new Error('Extension not properly initialized. Please reload the extension.');
+    }
+    await settingsLoaded;
+    const { did, xrpcUrl } = await atpiResolver.resolveXrpcUrl(atUri, { timeout: settings.resolveTimeout });
+    if (info.menuItemId === 'atpi-copy-did') {
+      await sendToPage({ type: 'COPY_TEXT', text: did });
+    } else {
+      await openTab(xrpcUrl);
+    }
+  }
+}
+
+// Omnibox: "at <handle | DID | at:// URI | bsky.app URL>" suggests what it resolves to
+// and opens the result in the explorer page
+const OMNIBOX_HINT = 'Type a handle, DID, at:// URI or bsky.app URL';
+const OMNIBOX_DELAY = 300; // ms of no typing before resolving
+
+let omniboxInput = null;
+let omniboxTimeout = null;
+
+// Omnibox descriptions are XML; anything from the input or a record must be escaped
+function escapeOmniboxXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// One-line summary of a resolved URI for the omnibox
+function describeOmniboxResult({ data, identity }) {
+  const parts = [];
+  if (identity && identity.handle) parts.push(`@${identity.handle}`);
+  
+  if (data && Array.isArray(data.records)) {
+    parts.push(`${data.records.length}${data.cursor ? '+' : ''} records`);
+  } else if (data && data.value && typeof data.value === 'object') {
+    const value = data.value;
+    const text = value.text || value.displayName || value.name || value.description || '';
+    parts.push(value.$type || 'record');
+    if (text) parts.push(`“${String(text).replace(/\s+/g, ' ').slice(0, 80)}”`);
+  } else if (data && Array.isArray(data.collections)) {
+    parts.push(`${data.collections.length} collections`);
+  }
+  
+  if (identity && identity.did) parts.push(identity.did);
+  return parts.join(' · ');
+}
+
+// Explorer page for an AT URI: explorer.html#at://...
+function explorerPageUrl(atUri) {
+  return chrome.runtime.getURL(`explorer/explorer.html#${encodeURI(atUri).replace(/#/g, '%23')}`);
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  omniboxInput = text;
+  clearTimeout(omniboxTimeout);
+  
+  const atUri = findAtUri(text);
+  if (!atUri) {
+    chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+    suggest([]);
+    return;
+  }
+  
+  chrome.omnibox.setDefaultSuggestion({
+    description: `Open <url>${escapeOmniboxXml(atUri)}</url> <dim>resolving…</dim>`
+  });
+  
+  omniboxTimeout = setTimeout(async () => {
+    try {
+      await settingsLoaded;
+      const result = await handleUrlResolution(atUri, settings.mode);
+      if (omniboxInput !== text) return; // Typing moved on
+      
+      const summary = describeOmniboxResult(result);
+      chrome.omnibox.setDefaultSuggestion({
+        description: `Open <url>${escapeOmniboxXml(atUri)}</url> <dim>${escapeOmniboxXml(summary)}</dim>`
+      });
+      
+      // The same URI with the DID instead of the handle, which keeps working after handle changes
+      const did = result.identity && result.identity.did;
+      const didUri = did ? atUri.replace(/^at:\/\/[^/]+/, `at://${did}`) : null;
+      suggest(didUri && didUri !== atUri ? [{
+        content: didUri,
+        description: `<url>${escapeOmniboxXml(didUri)}</url> <dim>${escapeOmniboxXml(summary)}</dim>`
+      }] : []);
+    } catch (error) {
+      if (omniboxInput !== text) return;
+      chrome.omnibox.setDefaultSuggestion({
+        description: `Open <url>${escapeOmniboxXml(atUri)}</url> <dim>${escapeOmniboxXml(error.message)}</dim>`
+      });
+      suggest([]);
+    }
+  }, OMNIBOX_DELAY);
+});
+
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  clearTimeout(omniboxTimeout);
+  const url = explorerPageUrl(findAtUri(text) || text.trim());
+  log('Omnibox open:', url, disposition);
+  
+  if (disposition === 'currentTab') {
+    chrome.tabs.update({ url });
+  } else {
+    chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+  }
+});
+
+// Finished repo exports are recorded here, since the panel that started one may be gone by then
+chrome.downloads.onChanged.addListener((delta) => {
+  if (!delta.state || delta.state.current === 'in_progress') return;
+  finishRepoExport(delta.id, delta.state.current)
+    .catch(error => log('Repo export bookkeeping failed:', error.message));
+});
+
 // Handle messages from content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   log('Received message:', request.type, request);
@@ -50,7 +287,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return false;
     }
     
-    handleUrlResolution(request.url, request.mode)
+    handleUrlResolution(request.url, request.mode, request.page)
       .then(result => {
         log('Resolution successful:', result);
         sendResponse(result);
@@ -61,25 +298,167 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     return true; // Keep message channel open for async response
   }
+  
+  if (request.type === 'CLEAR_CACHE') {
+    if (typeof atpiResolver === 'undefined') {
+      sendResponse({ error: 'Extension not properly initialized. Please reload the extension.' });
+      return false;
+    }
+    
+    atpiResolver.clearCaches()
+      .then(() => {
+        log('Caches cleared');
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        log('Cache clear error:', error.message);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+  
+  if (request.type === 'EXPORT_REPO') {
+    if (typeof atpiResolver === 'undefined') {
+      sendResponse({ error: 'Extension not properly initialized. Please reload the extension.' });
+      return false;
+    }
+    
+    settingsLoaded
+      .then(() => startRepoExport(request.did, {
+        since: request.since || null,
+        resolveDid: did => atpiResolver.resolveDid(did, settings.resolveTimeout),
+        timeout: settings.resolveTimeout
+      }))
+      .then(result => {
+        log('Repo export started:', request.did, result);
+        sendResponse(result);
+      })
+      .catch(error => {
+        log('Repo export error:', error.message);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+  
+  if (request.type === 'EXPORT_STATUS') {
+    getRepoExportStatus(request.downloadId)
+      .then(status => sendResponse({ status }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.type === 'LAST_EXPORT') {
+    getLastRepoExport(request.did)
+      .then(lastExport => sendResponse({ lastExport }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.type === 'RESOLVE_PDS') {
+    if (typeof atpiResolver === 'undefined') {
+      sendResponse({ error: 'Extension not properly initialized. Please reload the extension.' });
+      return false;
+    }
+    
+    // Blob links for results that came without an identity (remote mode)
+    settingsLoaded
+      .then(() => atpiResolver.resolveXrpcUrl(request.url, { timeout: settings.resolveTimeout }))
+      .then(({ did, pds }) => sendResponse({ did, pds }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.type === 'VERIFY_RECORD') {
+    if (typeof atpiResolver === 'undefined') {
+      sendResponse({ error: 'Extension not properly initialized. Please reload the extension.' });
+      return false;
+    }
+    
+    // The record as shown (request.cid, request.value) is checked against a proof from its PDS
+    settingsLoaded
+      .then(async () => {
+        const target = await atpiResolver.resolveXrpcUrl(request.url, { timeout: settings.resolveTimeout });
+        return verifyRecord(target, { cid: request.cid, value: request.value }, { timeout: settings.resolveTimeout });
+      })
+      .then(verification => {
+        log('Record verification:', request.url, verification.verified);
+        sendResponse({ verification });
+      })
+      .catch(error => {
+        log('Record verification error:', error.message);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+  
+  if (request.type === 'OPEN_EXPLORER') {
+    // Web pages can't link to extension pages, so the overlay asks for the tab
+    if (typeof request.url !== 'string' || !request.url.startsWith('at://')) {
+      sendResponse({ error: 'Not an AT URI' });
+      return false;
+    }
+    
+    const tab = sender.tab;
+    chrome.tabs.create({
+      url: explorerPageUrl(request.url),
+      ...(tab ? { index: tab.index + 1, openerTabId: tab.id } : {})
+    })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+  
+  if (request.type === 'RESOLVE_IDENTITY') {
+    if (typeof atpiResolver === 'undefined') {
+      sendResponse({ error: 'Extension not properly initialized. Please reload the extension.' });
+      return false;
+    }
+    
+    settingsLoaded
+      .then(() => atpiResolver.resolveIdentityDetails(request.identifier, { timeout: settings.resolveTimeout }))
+      .then(identity => {
+        log('Identity resolved:', identity.did);
+        sendResponse({ identity });
+      })
+      .catch(error => {
+        log('Identity resolution error:', error.message);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
 });
 
 // Handle URL resolution
-async function handleUrlResolution(url, mode) {
+// page: optional { cursor, limit, reverse } for collection listings
+async function handleUrlResolution(url, mode, page = {}) {
   const startTime = Date.now();
   try {
     log('Resolving URL:', url, 'mode:', mode);
     
-    const data = await atpiResolver.resolve(url, {
+    await settingsLoaded;
+    
+    const { data, identity, source, fallbackReason, cached } = await atpiResolver.resolve(url, {
       mode: mode || 'local',
-      timeout: 10000 // Increase to 10 second timeout
+      timeout: settings.resolveTimeout,
+      baseUrl: settings.remoteBaseUrl,
+      cursor: page.cursor,
+      limit: page.limit,
+      reverse: page.reverse
     });
     
     const duration = Date.now() - startTime;
-    log(`Resolution successful in ${duration}ms`);
+    log(`Resolution successful in ${duration}ms via ${source}${cached ? ' (cached)' : ''}`);
+    if (fallbackReason) {
+      log('Local resolution failed, used remote:', fallbackReason);
+    }
     
     return {
       data: data,
+      identity: identity,
+      cached: cached,
       mode: mode,
+      source: source,
+      fallbackReason: fallbackReason,
       timestamp: Date.now()
     };
   } catch (error) {
@@ -87,12 +466,4 @@ async function handleUrlResolution(url, mode) {
     log(`Resolution failed after ${duration}ms:`, error.message);
     throw error;
   }
-}
-
-// Set default mode and debug setting on install
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.sync.set({ 
-    mode: 'remote',
-    debugMode: false 
-  });
-});
\ No newline at end of file
+}
\ No newline at end of file
@@ -7,10 +7,10 @@ const log = (...args) => {
   }
 };
 
-// Load debug mode setting
-chrome.storage.sync.get(['debugMode'], (result) => {
-  DEBUG = result.debugMode || false;
-});
+// How the extension behaves on this site: full, hover or off (see lib/site-rules.js)
+// null until settings have loaded; the overlay checks this before previewing
+let siteMode = null;
+const siteSettings = { enabled: true, siteRules: [], defaultSiteMode: 'full' };
 
 // AT Protocol URL pattern
 const AT_URL_PATTERN = /at:\/\/([a-zA-Z0-9._:%-]+(?:\/[a-zA-Z0-9._-]+)*(?:\/[a-zA-Z0-9._~:@!$&'()*+,;=-]+)?)/g;
@@ -186,45 +186,90 @@ const observer = new MutationObserver((mutations) => {
   processPendingMutations();
 });
 
-// Start observing when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    processPage();
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      characterData: true,
-      characterDataOldValue: true
-    });
-    // Reprocess after a delay for dynamic content
-    setTimeout(processPage, 1000);
-  });
-} else {
+let reprocessTimeout = null;
+
+// Wrap AT URLs in page text and keep watching for new ones
+function startLinkDetection() {
   processPage();
   observer.observe(document.body, {
     childList: true,
-    subtree: true
+    subtree: true,
+    characterData: true,
+    characterDataOldValue: true
   });
   // Reprocess after a delay for dynamic content
-  setTimeout(processPage, 1000);
+  reprocessTimeout = setTimeout(processPage, 1000);
+}
+
+// Stop watching and put the page text back the way it was
+function stopLinkDetection() {
+  observer.disconnect();
+  clearTimeout(reprocessTimeout);
+  pendingMutations = [];
+  
+  document.querySelectorAll('.atpi-url-wrapper').forEach(wrapper => {
+    const parent = wrapper.parentNode;
+    wrapper.replaceWith(document.createTextNode(wrapper.dataset.atUrl));
+    parent.normalize();
+  });
 }
 
-// Listen for mode changes from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'MODE_CHANGED') {
-    log('Mode changed to:', request.mode);
-    // Notify overlay system of mode change
-    window.dispatchEvent(new CustomEvent('atpi-mode-changed', { 
-      detail: { mode: request.mode } 
-    }));
-  } else if (request.type === 'DEBUG_MODE_CHANGED') {
-    DEBUG = request.debugMode;
-    // Notify overlay system of debug mode change
-    window.dispatchEvent(new CustomEvent('atpi-debug-mode-changed', { 
-      detail: { debugMode: request.debugMode } 
-    }));
+// Work out the mode for this site and start or stop rewriting to match
+function applySiteMode() {
+  const mode = siteSettings.enabled
+    ? getSiteMode(location.hostname, siteSettings.siteRules, siteSettings.defaultSiteMode)
+    : 'off';
+  if (mode === siteMode) return;
+  
+  const wasRewriting = siteMode === 'full';
+  siteMode = mode;
+  log('Site mode:', mode);
+  
+  if (mode === 'full') {
+    startLinkDetection();
+  } else if (wasRewriting) {
+    stopLinkDetection();
+  }
+}
+
+// Nothing touches the DOM until the site rules are known
+function initializeContent() {
+  loadSettings().then(settings => {
+    DEBUG = settings.debugMode;
+    siteSettings.enabled = settings.enabled;
+    siteSettings.siteRules = settings.siteRules;
+    siteSettings.defaultSiteMode = settings.defaultSiteMode;
+    applySiteMode();
+  }).catch(error => {
+    // Storage rejects once the extension is reloaded under an open page; leave the page alone
+    log('Could not load settings, link detection stays off:', error.message);
+  });
+}
+
+onSettingsChanged(changes => {
+  if ('debugMode' in changes) {
+    DEBUG = changes.debugMode;
+  }
+  if ('enabled' in changes) {
+    siteSettings.enabled = changes.enabled;
+  }
+  if ('siteRules' in changes) {
+    siteSettings.siteRules = changes.siteRules;
+  }
+  if ('defaultSiteMode' in changes) {
+    siteSettings.defaultSiteMode = changes.defaultSiteMode;
+  }
+  if (siteMode !== null) {
+    applySiteMode();
   }
 });
 
+// Start when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeContent);
+} else {
+  initializeContent();
+}
+
 // Log when content script loads
 log('Content script loaded');
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * Identity views shared by the overlay and the explorer page
+ * Turns a RESOLVE_IDENTITY result into DOM: the handle verification badge and the
+ * identity panel with keys, PDS, the PLC operation history and the repo export, and
+ * the record verification check (is this record really signed into its repo?).
+ * Uses createElement / formatTimestamp / formatBytes from renderers.js, renderJsonView from
+ * json-viewer.js and the including page's sendToBackground().
+ */
+
+// How often a running export reports progress
+const EXPORT_POLL_INTERVAL = 500;
+
+// Build the handle verification badge (local mode only)
+// withHandle: false leaves out the handle for places that already show it
+function createVerificationBadge(identity, options = {}) {
+  const { withHandle = true } = options;
+  const { status, reason } = identity.verification;
+  const labels = {
+    verified: '✓ verified',
+    mismatch: '⚠ mismatch',
+    unverifiable: '? unverified'
+  };
+  
+  const badge = document.createElement('span');
+  badge.className = `atpi-overlay-verify ${status}`;
+  badge.textContent = identity.handle && withHandle ? `@${identity.handle} ${labels[status]}` : labels[status];
+  badge.title = status === 'verified'
+    ? 'Handle and DID document point to each other'
+    : reason || 'Handle could not be verified';
+  return badge;
+}
+
+// Summarize a PLC operation (current and legacy formats)
+function describePlcOperation(operation) {
+  if (!operation || operation.type === 'plc_tombstone') {
+    return { type: 'tombstone', handle: null, pds: null };
+  }
+  
+  const aliases = operation.alsoKnownAs || (operation.handle ? [`at://${operation.handle}`] : []);
+  const alias = aliases.find(a => typeof a === 'string' && a.startsWith('at://'));
+  
+  return {
+    type: operation.type === 'create' ? 'create (legacy)' : operation.prev ? 'update' : 'create',
+    handle: alias ? alias.substring(5) : null,
+    pds: operation.services?.atproto_pds?.endpoint || operation.service || null
+  };
+}
+
+// Render the identity panel: handle, keys, PDS and PLC history
+function renderIdentityPanel(identity) {
+  const fragment = document.createDocumentFragment();
+  
+  const addRow = (label, value) => {
+    const row = createElement('div', 'atpi-identity-row');
+    row.appendChild(createElement('div', 'atpi-identity-label', label));
+    const valueEl = createElement('div', 'atpi-identity-value');
+    if (value instanceof Node) {
+      valueEl.appendChild(value);
+    } else {
+      valueEl.textContent = value || '—';
+    }
+    row.appendChild(valueEl);
+    fragment.appendChild(row);
+  };
+  
+  const handle = createElement('span', null, identity.handle ? `@${identity.handle} ` : '— ');
+  handle.appendChild(createVerificationBadge(identity, { withHandle: false }));
+  addRow('Handle', handle);
+  addRow('DID', identity.did);
+  addRow('PDS', identity.pds);
+  addRow('Signing key', identity.signingKey);
+  
+  if (identity.rotationKeys) {
+    const keys = createElement('div');
+    identity.rotationKeys.forEach(key => keys.appendChild(createElement('div', null, key)));
+    addRow('Rotation keys', identity.rotationKeys.length ? keys : null);
+  }
+  
+  if (identity.plcError) {
+    fragment.appendChild(createElement('div', 'atpi-overlay-error', `PLC history unavailable: ${identity.plcError}`));
+  }
+  
+  if (identity.auditLog) {
+    // Handle history from the operations that are still in effect
+    const history = [];
+    identity.auditLog.filter(entry => !entry.nullified).forEach(entry => {
+      const { handle: opHandle } = describePlcOperation(entry.operation);
+      if (opHandle && (history.length === 0 || history[history.length - 1].handle !== opHandle)) {
+        history.push({ handle: opHandle, since: entry.createdAt });
+      }
+    });
+    
+    const historyList = createElement('div');
+    history.reverse().forEach(item => {
+      historyList.appendChild(createElement('div', null, `@${item.handle} — since ${formatTimestamp(item.since)}`));
+    });
+    addRow('Handle history', history.length ? historyList : null);
+    
+    // Full operation log, newest first
+    fragment.appendChild(createElement('div', 'atpi-identity-section', `PLC operations (${identity.auditLog.length})`));
+    let previous = null;
+    const rows = identity.auditLog.map(entry => {
+      const op = describePlcOperation(entry.operation);
+      const row = createElement('div', `atpi-identity-op${entry.nullified ? ' nullified' : ''}`);
+      row.appendChild(createElement('div', 'atpi-identity-op-time', formatTimestamp(entry.createdAt)));
+      
+      const changes = [op.type];
+      if (op.handle && (!previous || previous.handle !== op.handle)) changes.push(`handle @${op.handle}`);
+      if (op.pds && (!previous || previous.pds !== op.pds)) changes.push(`${previous ? 'migrated to' : 'PDS'} ${op.pds}`);
+      if (entry.nullified) changes.push('nullified');
+      row.appendChild(createElement('div', null, changes.join(' · ')));
+      row.title = entry.cid || '';
+      
+      if (!entry.nullified) previous = op;
+      return row;
+    });
+    rows.reverse().forEach(row => fragment.appendChild(row));
+  }
+  
+  if (identity.pds) {
+    fragment.appendChild(createElement('div', 'atpi-identity-section', 'Export'));
+    fragment.appendChild(renderRepoExport(identity.did));
+  }
+  
+  const documentDetails = createElement('details', 'atpi-identity-document');
+  documentDetails.appendChild(createElement('summary', null, 'DID document'));
+  documentDetails.appendChild(renderJsonView(identity.document));
+  fragment.appendChild(documentDetails);
+  
+  return fragment;
+}
+
+// Export the repo as a CAR file, optionally only what changed since a revision
+// The download runs in the browser; this only starts it and shows its progress
+function renderRepoExport(did) {
+  const container = createElement('div', 'atpi-export');
+  const exportBtn = createElement('button', 'atpi-export-button', 'Export repo (.car)');
+  const sinceLabel = createElement('label', 'atpi-export-since', 'Since ');
+  const sinceInput = document.createElement('input');
+  sinceInput.type = 'text';
+  sinceInput.placeholder = 'revision (optional)';
+  sinceInput.spellcheck = false;
+  sinceLabel.appendChild(sinceInput);
+  const status = createElement('div', 'atpi-export-status');
+  status.setAttribute('role', 'status');
+  const last = createElement('div', 'atpi-export-last');
+  container.append(exportBtn, sinceLabel, status, last);
+  
+  // Offer the revision of the last finished export for an incremental one
+  sendToBackground({ type: 'LAST_EXPORT', did })
+    .then(({ lastExport }) => {
+      if (!lastExport) return;
+      const useBtn = createElement('button', null, 'Use');
+      useBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        sinceInput.value = lastExport.rev;
+      });
+      last.append(`Last export: revision ${lastExport.rev}, ${formatTimestamp(lastExport.time)} `, useBtn);
+    })
+    .catch(() => {});
+  
+  const showProgress = (downloadId) => {
+    sendToBackground({ type: 'EXPORT_STATUS', downloadId })
+      .then(({ status: progress }) => {
+        if (progress.state === 'in_progress') {
+          const total = progress.totalBytes
+            ? ` of ${formatBytes(progress.totalBytes)} (${Math.floor(progress.bytesReceived / progress.totalBytes * 100)}%)`
+            : '';
+          status.textContent = `Downloading... ${formatBytes(progress.bytesReceived)}${total}`;
+          // Keep polling while the panel is on show; the download carries on either way
+          if (container.isConnected) {
+            setTimeout(() => showProgress(downloadId), EXPORT_POLL_INTERVAL);
+          }
+          return;
+        }
+        
+        exportBtn.disabled = false;
+        status.textContent = progress.state === 'complete'
+          ? `Saved ${progress.filename.split(/[\\/]/).pop()} (${formatBytes(progress.bytesReceived)})`
+          : `Export failed: ${progress.error || progress.state}`;
+      })
+      .catch(error => {
+        exportBtn.disabled = false;
+        status.textContent = `Export failed: ${error.message}`;
+      });
+  };
+  
+  exportBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    exportBtn.disabled = true;
+    status.textContent = 'Starting export...';
+    sendToBackground({ type: 'EXPORT_REPO', did, since: sinceInput.value.trim() || null })
+      .then(({ downloadId }) => showProgress(downloadId))
+      .catch(error => {
+        exportBtn.disabled = false;
+        status.textContent = `Export failed: ${error.message}`;
+      });
+  });
+  
+  return container;
+}
+
+// Verify a record against a signed proof from its PDS, on request
+// record: { cid, value } as shown, so data from a remote service gets checked too
+function renderRecordVerification(url, record) {
+  const container = createElement('div', 'atpi-record-verify');
+  const verifyBtn = createElement('button', 'atpi-record-verify-button', 'Verify record');
+  verifyBtn.title = 'Check the record and its CID against the repo commit signed by the DID\'s key';
+  const status = createElement('span', 'atpi-record-verify-status');
+  status.setAttribute('role', 'status');
+  const checks = createElement('ul', 'atpi-record-checks');
+  container.append(verifyBtn, status, checks);
+  
+  verifyBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    verifyBtn.disabled = true;
+    status.className = 'atpi-record-verify-status';
+    status.textContent = 'Verifying...';
+    checks.replaceChildren();
+    sendToBackground({ type: 'VERIFY_RECORD', url, cid: record.cid, value: record.value })
+      .then(({ verification }) => {
+        status.className = `atpi-record-verify-status atpi-overlay-verify ${verification.verified ? 'verified' : 'mismatch'}`;
+        status.textContent = verification.verified ? '✓ Record verified' : '✗ Record not verified';
+        status.title = verification.rev ? `Repo revision ${verification.rev}, commit ${verification.commitCid}` : '';
+        verification.checks.forEach(({ label, ok, detail }) => {
+          const item = createElement('li', ok ? 'ok' : 'failed', `${ok ? '✓' : '✗'} ${label}${detail ? `: ${detail}` : ''}`);
+          checks.appendChild(item);
+        });
+      })
+      .catch(error => {
+        status.className = 'atpi-record-verify-status atpi-overlay-verify unverifiable';
+        status.textContent = `? Could not verify: ${error.message}`;
+      })
+      .finally(() => {
+        verifyBtn.disabled = false;
+      });
+  });
+  
+  return container;
+}
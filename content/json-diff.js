@@ -0,0 +1,126 @@
+/**
+ * JSON comparison for the overlay
+ * Flattens two JSON values into leaf paths (value.embed.images[0].alt) and shows
+ * them side by side, marking each path as changed, added or removed.
+ * Uses jsonChildPath and renderJsonPrimitive from json-viewer.js.
+ */
+
+// Leaf values of a JSON value as [path, value] pairs, in document order
+// Empty arrays and objects are leaves, so they still show up in the diff
+function flattenJson(value, path = '', entries = []) {
+  if (value !== null && typeof value === 'object') {
+    const children = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : Object.entries(value);
+    if (children.length > 0) {
+      children.forEach(([key, child]) => flattenJson(child, jsonChildPath(path, key), entries));
+      return entries;
+    }
+  }
+  entries.push([path, value]);
+  return entries;
+}
+
+// Whether two leaf values are the same
+function sameJsonLeaf(a, b) {
+  if (a !== null && typeof a === 'object') {
+    return b !== null && typeof b === 'object' && Array.isArray(a) === Array.isArray(b);
+  }
+  return a === b;
+}
+
+// Compare two JSON values
+// Returns one row per leaf path: { path, status, left, right } where status is
+// same, changed, added (only on the right) or removed (only on the left)
+function diffJson(left, right) {
+  const leftEntries = flattenJson(left);
+  const rightEntries = flattenJson(right);
+  
+  const rows = leftEntries.map(([path, value]) => ({ path, status: 'removed', left: value }));
+  const rowsByPath = new Map(rows.map((row, index) => [row.path, index]));
+  
+  // Paths only on the right go after the last path both sides share,
+  // so an added field shows up next to its siblings
+  const inserted = rows.map(() => []);
+  const leading = [];
+  let lastShared = -1;
+  
+  rightEntries.forEach(([path, value]) => {
+    const index = rowsByPath.get(path);
+    if (index !== undefined) {
+      const row = rows[index];
+      row.right = value;
+      row.status = sameJsonLeaf(row.left, value) ? 'same' : 'changed';
+      lastShared = index;
+    } else {
+      (lastShared < 0 ? leading : inserted[lastShared]).push({ path, status: 'added', right: value });
+    }
+  });
+  
+  return leading.concat(rows.flatMap((row, index) => [row, ...inserted[index]]));
+}
+
+// Render one side of a diff row
+function renderDiffValue(row, side) {
+  const present = side === 'left' ? row.status !== 'added' : row.status !== 'removed';
+  if (!present) {
+    return createElement('td', 'atpi-diff-value atpi-diff-missing', '—');
+  }
+  
+  const value = row[side];
+  const cell = createElement('td', 'atpi-diff-value');
+  if (value !== null && typeof value === 'object') {
+    cell.textContent = Array.isArray(value) ? '[]' : '{}';
+  } else {
+    cell.appendChild(renderJsonPrimitive(value));
+  }
+  return cell;
+}
+
+// Render a side-by-side comparison of two JSON values
+// labels: { left, right } column headings
+function renderJsonDiff(left, right, labels) {
+  const rows = diffJson(left, right);
+  const differences = rows.filter(row => row.status !== 'same').length;
+  
+  const container = createElement('div', 'atpi-overlay-content atpi-diff');
+  const toolbar = createElement('div', 'atpi-json-toolbar');
+  const summary = createElement('span', 'atpi-diff-summary', differences
+    ? `${differences} of ${rows.length} values differ`
+    : `All ${rows.length} values are the same`);
+  
+  const onlyLabel = createElement('label', 'atpi-diff-only');
+  const onlyBox = document.createElement('input');
+  onlyBox.type = 'checkbox';
+  onlyBox.checked = differences > 0;
+  onlyLabel.append(onlyBox, ' Only differences');
+  toolbar.append(summary, onlyLabel);
+  
+  const table = createElement('table', 'atpi-diff-table');
+  const head = createElement('tr');
+  head.append(
+    createElement('th', null, 'Path'),
+    createElement('th', null, labels.left),
+    createElement('th', null, labels.right)
+  );
+  table.appendChild(head);
+  
+  rows.forEach(row => {
+    const tr = createElement('tr', `atpi-diff-row ${row.status}`);
+    const path = createElement('td', 'atpi-diff-path', row.path || '(value)');
+    path.dataset.copy = row.path;
+    path.title = `Copy path: ${row.path}`;
+    tr.append(path, renderDiffValue(row, 'left'), renderDiffValue(row, 'right'));
+    table.appendChild(tr);
+  });
+  
+  const update = () => table.classList.toggle('only-differences', onlyBox.checked);
+  onlyBox.addEventListener('change', (e) => {
+    e.stopPropagation();
+    update();
+  });
+  update();
+  
+  container.append(toolbar, table);
+  return container;
+}
@@ -0,0 +1,354 @@
+/**
+ * JSON viewer for the overlay
+ * Renders JSON as a collapsible tree with type-colored values and a search box.
+ * AT URIs and DIDs carry data-at-url so the overlay can navigate to them;
+ * CIDs and node paths carry data-copy and are copied to the clipboard on click.
+ * The tree is an ARIA tree with one tab stop: arrow keys move between nodes,
+ * Right / Left expand and collapse, Enter follows a reference or copies a CID.
+ */
+
+// Values worth linking inside JSON strings
+const JSON_AT_URI_PATTERN = /^at:\/\/[a-zA-Z0-9._:%-]+(\/[a-zA-Z0-9._~:@!$&'()*+,;=-]+)*$/;
+const JSON_DID_PATTERN = /^did:(plc|web):[a-zA-Z0-9._:%-]+$/;
+const JSON_CID_PATTERN = /^(baf[a-z2-7]{20,}|Qm[1-9A-HJ-NP-Za-km-z]{44})$/;
+
+// Trees bigger than this start with deep nodes collapsed
+const LARGE_JSON_NODES = 300;
+const COLLAPSE_DEPTH = 2;
+
+// Render a string value, linking references
+function renderJsonString(value) {
+  const quoted = JSON.stringify(value);
+  
+  if (JSON_AT_URI_PATTERN.test(value) || JSON_DID_PATTERN.test(value)) {
+    const uri = value.startsWith('at://') ? value : `at://${value}`;
+    const link = createElement('a', 'atpi-json-string atpi-at-link', quoted);
+    link.href = `https://atproto.at://${uri.substring(5)}`;
+    link.dataset.atUrl = uri;
+    link.title = `Open ${uri}`;
+    link.tabIndex = -1; // Reached with Enter on its node
+    return link;
+  }
+  
+  if (JSON_CID_PATTERN.test(value)) {
+    const cid = createElement('span', 'atpi-json-string atpi-json-cid', quoted);
+    cid.dataset.copy = value;
+    cid.title = 'Copy CID';
+    return cid;
+  }
+  
+  return createElement('span', 'atpi-json-string', quoted);
+}
+
+// Render a non-container value
+function renderJsonPrimitive(value) {
+  if (value === null || value === undefined) {
+    return createElement('span', 'atpi-json-null', 'null');
+  }
+  if (typeof value === 'string') {
+    return renderJsonString(value);
+  }
+  if (typeof value === 'number') {
+    return createElement('span', 'atpi-json-number', String(value));
+  }
+  if (typeof value === 'boolean') {
+    return createElement('span', 'atpi-json-boolean', String(value));
+  }
+  return createElement('span', 'atpi-json-string', JSON.stringify(String(value)));
+}
+
+// JSON path of a child node, e.g. value.embed.images[0].image.ref.$link
+function jsonChildPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return path ? `${path}.${key}` : key;
+  }
+  return `${path}[${JSON.stringify(key)}]`;
+}
+
+// Render one node (a line, plus children and a closing line for containers)
+function renderJsonNode(key, value, path, depth, isLast, state) {
+  state.count++;
+  
+  const node = createElement('div', 'atpi-json-node');
+  node.dataset.depth = depth;
+  node.setAttribute('role', 'treeitem');
+  node.setAttribute('aria-level', depth + 1);
+  node.tabIndex = -1;
+  const line = createElement('div', 'atpi-json-line');
+  node.appendChild(line);
+  
+  const comma = isLast ? '' : ',';
+  const isContainer = value !== null && typeof value === 'object';
+  const isArray = Array.isArray(value);
+  const entries = isContainer
+    ? (isArray ? value.map((item, index) => [index, item]) : Object.entries(value))
+    : [];
+  const expandable = entries.length > 0;
+  if (expandable) {
+    node.setAttribute('aria-expanded', 'true');
+  }
+  
+  const toggle = createElement('span', expandable ? 'atpi-json-toggle' : 'atpi-json-spacer', expandable ? '▾' : '');
+  line.appendChild(toggle);
+  
+  if (key !== null) {
+    line.appendChild(createElement('span', 'atpi-json-key', JSON.stringify(key)));
+    line.appendChild(document.createTextNode(': '));
+  }
+  
+  if (!isContainer) {
+    line.appendChild(renderJsonPrimitive(value));
+    line.appendChild(document.createTextNode(comma));
+  } else if (!expandable) {
+    line.appendChild(document.createTextNode((isArray ? '[]' : '{}') + comma));
+  } else {
+    const close = isArray ? ']' : '}';
+    line.appendChild(document.createTextNode(isArray ? '[' : '{'));
+    
+    // Shown instead of the children while collapsed
+    const summary = createElement('span', 'atpi-json-summary', `…${close}${comma}`);
+    summary.appendChild(createElement('span', 'atpi-json-count', ` ${entries.length} ${isArray ? 'items' : 'keys'}`));
+    line.appendChild(summary);
+    
+    const children = createElement('div', 'atpi-json-children');
+    children.setAttribute('role', 'group');
+    entries.forEach(([childKey, childValue], index) => {
+      children.appendChild(renderJsonNode(
+        isArray ? null : childKey,
+        childValue,
+        jsonChildPath(path, childKey),
+        depth + 1,
+        index === entries.length - 1,
+        state
+      ));
+    });
+    node.appendChild(children);
+    node.appendChild(createElement('div', 'atpi-json-close', close + comma));
+  }
+  
+  if (path) {
+    const copyPath = createElement('button', 'atpi-json-copy-path', '⧉');
+    copyPath.dataset.copy = path;
+    copyPath.title = `Copy path: ${path}`;
+    copyPath.tabIndex = -1; // One tab stop for the whole tree
+    line.appendChild(copyPath);
+  }
+  
+  return node;
+}
+
+// Collapse or expand a node, keeping aria-expanded in step
+function setJsonNodeCollapsed(node, collapsed) {
+  node.classList.toggle('collapsed', collapsed);
+  node.setAttribute('aria-expanded', String(!collapsed));
+}
+
+// Expand every collapsed node above an element
+function expandJsonAncestors(element, tree) {
+  let node = element.closest('.atpi-json-node');
+  while (node && tree.contains(node)) {
+    if (node.classList.contains('collapsed')) setJsonNodeCollapsed(node, false);
+    node = node.parentElement.closest('.atpi-json-node');
+  }
+}
+
+// Search box: highlight matching keys / values, expand to them, Enter cycles
+function setupJsonSearch(toolbar, tree) {
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.className = 'atpi-json-search';
+  input.placeholder = 'Search keys and values';
+  const counter = createElement('span', 'atpi-json-search-count');
+  toolbar.prepend(input, counter);
+  
+  let matches = [];
+  let current = -1;
+  let searchTimeout = null;
+  
+  const focusMatch = (index) => {
+    if (matches.length === 0) return;
+    if (matches[current]) matches[current].classList.remove('current');
+    current = (index + matches.length) % matches.length;
+    matches[current].classList.add('current');
+    matches[current].scrollIntoView({ block: 'nearest' });
+    counter.textContent = `${current + 1}/${matches.length}`;
+  };
+  
+  const search = () => {
+    matches.forEach(match => match.classList.remove('atpi-json-match', 'current'));
+    matches = [];
+    current = -1;
+    
+    const query = input.value.trim().toLowerCase();
+    if (!query) {
+      counter.textContent = '';
+      return;
+    }
+    
+    tree.querySelectorAll('.atpi-json-key, .atpi-json-string, .atpi-json-number, .atpi-json-boolean, .atpi-json-null')
+      .forEach(element => {
+        if (element.textContent.toLowerCase().includes(query)) {
+          element.classList.add('atpi-json-match');
+          expandJsonAncestors(element, tree);
+          matches.push(element);
+        }
+      });
+    
+    counter.textContent = matches.length ? `${matches.length} matches` : 'No matches';
+  };
+  
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(search, 150);
+  });
+  
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation(); // Keep page shortcuts out of the search box
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      clearTimeout(searchTimeout);
+      if (matches.length === 0) search();
+      focusMatch(e.shiftKey ? current - 1 : current + 1);
+    }
+  });
+}
+
+// Whether a node is shown, i.e. no node above it is collapsed
+function isJsonNodeVisible(node, tree) {
+  const collapsedAncestor = node.parentElement.closest('.atpi-json-node.collapsed');
+  return !collapsedAncestor || !tree.contains(collapsedAncestor);
+}
+
+// Keyboard navigation: the tree is one tab stop (the node last focused),
+// arrow keys move between visible nodes
+function setupJsonKeyboard(tree) {
+  const visibleNodes = () => [...tree.querySelectorAll('.atpi-json-node')].filter(node => isJsonNodeVisible(node, tree));
+  
+  const focusNode = (node) => {
+    if (!node) return;
+    tree.querySelectorAll('.atpi-json-node[tabindex="0"]').forEach(other => { other.tabIndex = -1; });
+    node.tabIndex = 0;
+    node.focus();
+  };
+  
+  tree.addEventListener('keydown', (e) => {
+    const node = e.target;
+    if (!node.classList || !node.classList.contains('atpi-json-node')) return;
+    
+    const nodes = visibleNodes();
+    const index = nodes.indexOf(node);
+    const expandable = node.hasAttribute('aria-expanded');
+    const collapsed = node.classList.contains('collapsed');
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        focusNode(nodes[index + 1]);
+        break;
+      case 'ArrowUp':
+        focusNode(nodes[index - 1]);
+        break;
+      case 'Home':
+        focusNode(nodes[0]);
+        break;
+      case 'End':
+        focusNode(nodes[nodes.length - 1]);
+        break;
+      case 'ArrowRight':
+        if (expandable && collapsed) {
+          setJsonNodeCollapsed(node, false);
+        } else if (expandable) {
+          focusNode(node.querySelector('.atpi-json-node'));
+        }
+        break;
+      case 'ArrowLeft':
+        if (expandable && !collapsed) {
+          setJsonNodeCollapsed(node, true);
+        } else if (tree.contains(node.parentElement.closest('.atpi-json-node'))) {
+          focusNode(node.parentElement.closest('.atpi-json-node'));
+        }
+        break;
+      case 'Enter': {
+        // Same as clicking the node's reference or CID
+        const line = node.querySelector('.atpi-json-line');
+        const action = line.querySelector('[data-at-url]') || line.querySelector('.atpi-json-cid');
+        if (action) {
+          action.click();
+        } else if (expandable) {
+          setJsonNodeCollapsed(node, !collapsed);
+        }
+        break;
+      }
+      case ' ':
+        if (expandable) setJsonNodeCollapsed(node, !collapsed);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  });
+  
+  // Keep the tab stop on a node that can still be seen
+  return () => {
+    const current = tree.querySelector('.atpi-json-node[tabindex="0"]');
+    if (current && isJsonNodeVisible(current, tree)) return;
+    if (current) current.tabIndex = -1;
+    tree.querySelector('.atpi-json-node').tabIndex = 0;
+  };
+}
+
+// Render JSON data as a viewer element
+function renderJsonView(data) {
+  const container = createElement('div', 'atpi-overlay-content atpi-json');
+  const toolbar = createElement('div', 'atpi-json-toolbar');
+  const tree = createElement('div', 'atpi-json-tree');
+  tree.setAttribute('role', 'tree');
+  tree.setAttribute('aria-label', 'JSON');
+  
+  const state = { count: 0 };
+  tree.appendChild(renderJsonNode(null, data, '', 0, true, state));
+  tree.querySelector('.atpi-json-node').tabIndex = 0;
+  const resetTabStop = setupJsonKeyboard(tree);
+  
+  // Start big trees with deep nodes collapsed
+  if (state.count > LARGE_JSON_NODES) {
+    tree.querySelectorAll('.atpi-json-node').forEach(node => {
+      if (Number(node.dataset.depth) >= COLLAPSE_DEPTH && node.querySelector('.atpi-json-children')) {
+        setJsonNodeCollapsed(node, true);
+      }
+    });
+  }
+  
+  const expandAll = createElement('button', null, 'Expand all');
+  expandAll.addEventListener('click', (e) => {
+    e.stopPropagation();
+    tree.querySelectorAll('.atpi-json-node.collapsed').forEach(node => setJsonNodeCollapsed(node, false));
+  });
+  
+  const collapseAll = createElement('button', null, 'Collapse all');
+  collapseAll.addEventListener('click', (e) => {
+    e.stopPropagation();
+    tree.querySelectorAll('.atpi-json-children').forEach(children => {
+      const node = children.parentElement;
+      if (node.dataset.depth !== '0') setJsonNodeCollapsed(node, true);
+    });
+    resetTabStop();
+  });
+  
+  toolbar.append(expandAll, collapseAll);
+  setupJsonSearch(toolbar, tree);
+  
+  tree.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.atpi-json-toggle, .atpi-json-summary');
+    if (!toggle) return;
+    e.stopPropagation();
+    const node = toggle.closest('.atpi-json-node');
+    setJsonNodeCollapsed(node, !node.classList.contains('collapsed'));
+    resetTabStop();
+  });
+  
+  container.append(toolbar, tree);
+  return container;
+}
@@ -7,52 +7,128 @@ const logOverlay = (...args) => {
   }
 };
 
-// Load debug mode setting
-chrome.storage.sync.get(['debugMode'], (result) => {
-  DEBUG_OVERLAY = result.debugMode || false;
-});
-
 // Overlay management
-let currentOverlay = null;
+// hoverOverlay follows the pointer and is the only unpinned overlay;
+// pinned overlays stay until they're closed
+let hoverOverlay = null;
 let hoverTimeout = null;
-let currentMode = 'local';
-let isPinned = false;
-let isDragging = false;
-let dragOffset = { x: 0, y: 0 };
-
-// Cache for resolved URLs (5 minute TTL) - separate for each mode
-const urlCache = {
-  local: new Map(),
-  remote: new Map()
-};
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+let preferredView = 'rendered'; // Last tab the user picked
+let topZIndex = 0; // Raised for whichever overlay was used last
+let compareSource = null; // Overlay waiting for a second one to compare with
+let skipFocusPreview = null; // Link getting focus back from a closed overlay
 
-// Load current mode on startup
-chrome.storage.sync.get(['mode'], (result) => {
-  currentMode = result.mode || 'remote';
-  logOverlay('Initial mode:', currentMode);
-});
+// Collection listing pagination
+const PAGE_SIZE = 100;
+const LOAD_ALL_CAP = 1000; // Stop "load all" after this many records
+
+// Mode, delays, timeouts and the remote service, kept in sync with storage
+const overlaySettings = { ...SETTINGS_DEFAULTS };
 
-// Listen for mode changes
-window.addEventListener('atpi-mode-changed', (event) => {
-  currentMode = event.detail.mode;
-  logOverlay('Mode changed to:', currentMode);
+loadSettings().then(settings => {
+  Object.assign(overlaySettings, settings);
+  DEBUG_OVERLAY = settings.debugMode;
+  logOverlay('Initial mode:', overlaySettings.mode);
+}).catch(error => {
+  // The defaults stay in place, e.g. when the extension was reloaded under this page
+  logOverlay('Could not load settings, using defaults:', error.message);
 });
 
-// Listen for debug mode changes
-window.addEventListener('atpi-debug-mode-changed', (event) => {
-  DEBUG_OVERLAY = event.detail.debugMode;
+onSettingsChanged(changes => {
+  Object.assign(overlaySettings, changes);
+  if ('debugMode' in changes) {
+    DEBUG_OVERLAY = changes.debugMode;
+  }
+  logOverlay('Settings changed:', changes);
 });
 
+// All overlays live in one closed shadow root, so page CSS can't restyle them
+// and overlay.css can't leak into the page
+const OVERLAY_HOST_STYLES = {
+  all: 'initial', // Nothing inherited from the page
+  position: 'fixed',
+  top: '0',
+  left: '0',
+  width: '0',
+  height: '0',
+  'z-index': '2147483647', // Highest possible, above the page's own popups
+  visibility: 'hidden' // Until overlay.css has loaded
+};
+
+let overlayHost = null;
+let overlayRoot = null;
+let overlayLiveRegion = null;
+
+// Get the shadow root overlays go in, creating the host on first use
+function getOverlayRoot() {
+  if (overlayHost && overlayHost.isConnected) return overlayRoot;
+  
+  overlayHost = document.createElement('atpi-overlay-host');
+  Object.entries(OVERLAY_HOST_STYLES).forEach(([property, value]) => {
+    overlayHost.style.setProperty(property, value, 'important');
+  });
+  overlayRoot = overlayHost.attachShadow({ mode: 'closed' });
+  
+  const host = overlayHost;
+  const stylesheet = document.createElement('link');
+  stylesheet.rel = 'stylesheet';
+  stylesheet.href = chrome.runtime.getURL('content/overlay.css');
+  const reveal = () => host.style.setProperty('visibility', 'visible', 'important');
+  stylesheet.addEventListener('load', reveal);
+  stylesheet.addEventListener('error', reveal);
+  overlayRoot.appendChild(stylesheet);
+  
+  // Loading and result announcements for screen readers
+  overlayLiveRegion = createElement('div', 'atpi-live');
+  overlayLiveRegion.setAttribute('role', 'status');
+  overlayLiveRegion.setAttribute('aria-live', 'polite');
+  overlayRoot.appendChild(overlayLiveRegion);
+  
+  // Escape closes the overlay with focus
+  overlayRoot.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    const overlay = e.target.closest && e.target.closest('.atpi-overlay');
+    if (overlay) {
+      e.preventDefault();
+      closeOverlayFromKeyboard(overlay);
+    }
+  });
+  
+  // Keep typing and focus changes in the overlay away from page shortcuts and focus traps
+  ['keydown', 'keyup', 'keypress', 'focusin', 'focusout'].forEach(type => {
+    overlayRoot.addEventListener(type, (e) => e.stopPropagation());
+  });
+  
+  // Outside <body>, so transforms or overflow on the body can't clip the fixed overlays
+  document.documentElement.appendChild(overlayHost);
+  return overlayRoot;
+}
+
+// Tell screen readers what the overlay is doing
+function announce(message) {
+  if (overlayLiveRegion) {
+    overlayLiveRegion.textContent = message;
+  }
+}
+
+// Whether a node is part of the overlay UI
+// Page-level listeners only ever see the host, never the nodes inside the shadow root
+function isInsideOverlay(node) {
+  return !!overlayHost && !!node && (node === overlayHost || overlayHost.contains(node));
+}
+
 // Create overlay element
 function createOverlay(x, y) {
   const overlay = document.createElement('div');
   overlay.className = 'atpi-overlay';
   overlay.style.position = 'fixed'; // Use fixed positioning
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-label', 'AT Protocol preview');
+  overlay.tabIndex = -1; // So keyboard users can be moved into it
   
   // Initial positioning
   overlay.style.left = `${x}px`;
   overlay.style.top = `${y}px`;
+  overlay.style.zIndex = ++topZIndex;
   
   // Position adjustment to keep overlay on screen
   const adjustPosition = () => {
@@ -87,70 +163,512 @@ function createOverlay(x, y) {
   
   setTimeout(adjustPosition, 0);
   
+  // Follow AT URI / DID references and copy CIDs from anywhere in the overlay
+  overlay.addEventListener('click', handleOverlayReferenceClick);
+  
+  // Bring the overlay in use above the others
+  overlay.addEventListener('mousedown', () => {
+    overlay.style.zIndex = ++topZIndex;
+  });
+  
+  // Hide after leaving the overlay, unless the pointer came back or went to an AT URL
+  overlay.addEventListener('mouseleave', () => {
+    setTimeout(() => {
+      if (getOverlayState(overlay).pinned || overlay.matches(':hover') || overlay.matches(':focus-within')) return;
+      if (document.querySelector('.atpi-url-wrapper:hover')) return;
+      removeOverlay(overlay);
+    }, overlaySettings.overlayHideDelay);
+  });
+  
   return overlay;
 }
 
-// Format JSON for display
-function formatJson(data) {
+// State for each overlay: pin, navigation history, the record on show
+// and the link it was opened from with the keyboard
+const overlayStates = new WeakMap();
+
+function getOverlayState(overlay) {
+  let state = overlayStates.get(overlay);
+  if (!state) {
+    state = { pinned: false, history: { entries: [], index: -1 }, url: null, data: null, opener: null };
+    overlayStates.set(overlay, state);
+  }
+  return state;
+}
+
+function getOverlayHistory(overlay) {
+  return getOverlayState(overlay).history;
+}
+
+// Remove an overlay and forget it
+function removeOverlay(overlay) {
+  overlay.remove();
+  if (hoverOverlay === overlay) {
+    hoverOverlay = null;
+  }
+  if (compareSource === overlay) {
+    setCompareSource(null);
+  }
+}
+
+// Close an overlay from the keyboard and give focus back to the link that opened it
+function closeOverlayFromKeyboard(overlay) {
+  const { opener } = getOverlayState(overlay);
+  removeOverlay(overlay);
+  if (opener && opener.isConnected) {
+    skipFocusPreview = opener;
+    opener.focus();
+  }
+}
+
+// Pin or unpin an overlay
+// Unpinning makes it the hover overlay, so there's still only one unpinned overlay
+function setOverlayPinned(overlay, pinned) {
+  getOverlayState(overlay).pinned = pinned;
+  if (pinned) {
+    if (hoverOverlay === overlay) hoverOverlay = null;
+  } else if (hoverOverlay !== overlay) {
+    if (hoverOverlay) removeOverlay(hoverOverlay);
+    hoverOverlay = overlay;
+  }
+  
+  const pinBtn = overlay.querySelector('.atpi-overlay-pin');
+  if (pinBtn) {
+    pinBtn.classList.toggle('pinned', pinned);
+    pinBtn.textContent = pinned ? '📌' : '📍';
+    pinBtn.setAttribute('aria-pressed', String(pinned));
+    setButtonLabel(pinBtn, pinned ? 'Unpin overlay' : 'Pin overlay');
+  }
+}
+
+// Show an AT URL in an overlay
+// historyAction: 'push' adds a new entry, 'back' / 'forward' move through existing ones
+async function navigateOverlay(overlay, url, historyAction = 'push') {
+  const history = getOverlayHistory(overlay);
+  
+  if (historyAction === 'push') {
+    history.entries = history.entries.slice(0, history.index + 1);
+    history.entries.push(url);
+    history.index = history.entries.length - 1;
+  } else {
+    history.index += historyAction === 'back' ? -1 : 1;
+    url = history.entries[history.index];
+  }
+  overlay.setAttribute('aria-label', `Preview of ${url}`);
+  
+  // Re-rendering drops focus from whatever was clicked; keep keyboard users in the overlay
+  const hadFocus = !!overlayRoot && overlay.contains(overlayRoot.activeElement);
+  
+  // Only the latest navigation gets to render
+  const token = Symbol(url);
+  history.pending = token;
+  
+  // The record picked for comparing is going away
+  if (compareSource === overlay) {
+    setCompareSource(null);
+  }
+  
+  showLoading(overlay);
+  if (hadFocus) overlay.focus();
+  
   try {
-    return JSON.stringify(data, null, 2);
+    const result = await resolveUrl(url);
+    // Check if overlay still exists (might have been removed while loading)
+    if (overlay.isConnected && history.pending === token) {
+      showData(overlay, url, result);
+    }
   } catch (error) {
-    return 'Unable to format data';
+    if (overlay.isConnected && history.pending === token) {
+      showError(overlay, error.message);
+    }
+  }
+}
+
+// Back / forward buttons for the overlay header
+function createHistoryControls(overlay) {
+  const history = getOverlayHistory(overlay);
+  const fragment = document.createDocumentFragment();
+  if (history.entries.length < 2) return fragment;
+  
+  const back = createOverlayButton('atpi-overlay-nav', '◀', 'Back');
+  back.disabled = history.index <= 0;
+  back.addEventListener('click', (e) => {
+    e.stopPropagation();
+    navigateOverlay(overlay, null, 'back');
+  });
+  
+  const forward = createOverlayButton('atpi-overlay-nav', '▶', 'Forward');
+  forward.disabled = history.index >= history.entries.length - 1;
+  forward.addEventListener('click', (e) => {
+    e.stopPropagation();
+    navigateOverlay(overlay, null, 'forward');
+  });
+  
+  fragment.append(back, forward);
+  return fragment;
+}
+
+// Clicks on references inside the overlay navigate it instead of leaving the page
+// (Ctrl/Cmd-click still opens the link in a new tab)
+function handleOverlayReferenceClick(e) {
+  const overlay = e.currentTarget;
+  
+  const reference = e.target.closest('[data-at-url]');
+  if (reference && overlay.contains(reference) && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+    e.preventDefault();
+    e.stopPropagation();
+    navigateOverlay(overlay, reference.dataset.atUrl, 'push');
+    return;
+  }
+  
+  const copyable = e.target.closest('[data-copy]');
+  if (copyable && overlay.contains(copyable)) {
+    e.stopPropagation();
+    navigator.clipboard.writeText(copyable.dataset.copy).then(() => {
+      copyable.classList.add('copied');
+      setTimeout(() => copyable.classList.remove('copied'), 1000);
+    }).catch(error => {
+      console.error('Failed to copy:', error);
+    });
   }
 }
 
 // Show loading state
 function showLoading(overlay) {
-  overlay.innerHTML = `
-    <div class="atpi-overlay-loading">
-      <span class="atpi-spinner"></span>
-      Loading...
-    </div>
-  `;
+  const loading = createElement('div', 'atpi-overlay-loading');
+  loading.append(createElement('span', 'atpi-spinner'), 'Loading...');
+  overlay.replaceChildren(loading);
+  overlay.setAttribute('aria-busy', 'true');
+  announce('Loading preview');
 }
 
 // Show error state
+// Error text can quote handles or URLs taken from the page, so it only ever goes in as text
 function showError(overlay, error) {
-  overlay.innerHTML = `
-    <div class="atpi-overlay-header">
-      <div class="atpi-overlay-title">❌ Error</div>
-    </div>
-    <div class="atpi-overlay-error">${error}</div>
-  `;
+  const header = createElement('div', 'atpi-overlay-header');
+  header.appendChild(createElement('div', 'atpi-overlay-title', '❌ Error'));
+  
+  const history = getOverlayHistory(overlay);
+  if (history.entries.length > 1) {
+    const controls = createElement('div', 'atpi-overlay-controls');
+    controls.appendChild(createHistoryControls(overlay));
+    header.appendChild(controls);
+  }
+  
+  const message = createElement('div', 'atpi-overlay-error', String(error));
+  message.setAttribute('role', 'alert');
+  overlay.replaceChildren(header, message);
+  overlay.removeAttribute('aria-busy');
+}
+
+// Header buttons show an icon, so the label goes in the tooltip and aria-label
+function setButtonLabel(button, label) {
+  button.title = label;
+  button.setAttribute('aria-label', label);
+}
+
+// Button for the overlay header
+function createOverlayButton(className, text, label) {
+  const button = createElement('button', className, text);
+  button.type = 'button';
+  if (label) setButtonLabel(button, label);
+  return button;
+}
+
+// Action link; renderExternalLink drops targets that aren't http(s)
+function createActionLink(href, text, className) {
+  const link = renderExternalLink(href, text);
+  link.className = className;
+  return link;
+}
+
+// Host of the remote service, for labels
+function remoteServiceHost() {
+  try {
+    return new URL(overlaySettings.remoteBaseUrl).host;
+  } catch (e) {
+    return overlaySettings.remoteBaseUrl;
+  }
+}
+
+// Describe which resolution path produced the data
+function describeSource(mode, source) {
+  if (mode === 'auto') {
+    return `auto → ${source}`;
+  }
+  return `${mode} mode`;
 }
 
 // Show resolved data
-function showData(overlay, url, data, mode) {
+// result: { data, identity, mode, source, fallbackReason } from resolveUrl
+function showData(overlay, url, result) {
+  const { mode, source, fallbackReason, identity } = result;
+  let { data } = result;
+  
+  // Paging mutates listings in place, so work on a copy
+  if (data && Array.isArray(data.records)) {
+    data = { ...data, records: [...data.records] };
+  }
+  
+  const state = getOverlayState(overlay);
+  state.url = url;
+  state.data = data;
+  
   const urlWithoutPrefix = url.replace(/^at:\/\//, '');
   
-  overlay.innerHTML = `
-    <div class="atpi-overlay-header" data-draggable="true">
-      <div class="atpi-overlay-title">
-        ✅ ATPI
-        <span class="atpi-overlay-mode">${mode} mode</span>
-      </div>
-      <div class="atpi-overlay-controls">
-        <button class="atpi-overlay-copy" title="Copy JSON">📋</button>
-        <button class="atpi-overlay-pin ${isPinned ? 'pinned' : ''}" title="${isPinned ? 'Unpin' : 'Pin'} overlay">
-          ${isPinned ? '📌' : '📍'}
-        </button>
-        <button class="atpi-overlay-close" title="Close overlay">✕</button>
-      </div>
-    </div>
-    <div class="atpi-overlay-content">${formatJson(data)}</div>
-    <div class="atpi-overlay-actions">
-      <a href="https://atproto.at://${urlWithoutPrefix}" target="_blank" class="atpi-overlay-action">
-        Open in atproto.at
-      </a>
-      <a href="https://atpi.at//${urlWithoutPrefix}" target="_blank" class="atpi-overlay-action secondary">
-        Open in atpi.at
-      </a>
-    </div>
-    <div class="atpi-overlay-resize-handle"></div>
-  `;
+  const title = createElement('div', 'atpi-overlay-title', '✅ ATPI');
+  const modeBadge = createElement('span', 'atpi-overlay-mode', describeSource(mode, source));
+  title.appendChild(modeBadge);
+  if (identity && identity.verification) {
+    title.appendChild(createVerificationBadge(identity));
+  }
+  
+  const controls = createElement('div', 'atpi-overlay-controls');
+  controls.append(
+    createHistoryControls(overlay),
+    createOverlayButton('atpi-overlay-copy', '📋', 'Copy JSON'),
+    createOverlayButton('atpi-overlay-compare', '⇄', ''),
+    createOverlayButton(`atpi-overlay-pin${state.pinned ? ' pinned' : ''}`, state.pinned ? '📌' : '📍', `${state.pinned ? 'Unpin' : 'Pin'} overlay`),
+    createOverlayButton('atpi-overlay-close', '✕', 'Close overlay')
+  );
+  
+  const header = createElement('div', 'atpi-overlay-header');
+  header.dataset.draggable = 'true';
+  header.append(title, controls);
+  
+  // The remote link is the same URL the remote resolver fetches
+  const explorerBtn = createElement('button', 'atpi-overlay-action atpi-overlay-explorer', 'Open in explorer');
+  const actions = createElement('div', 'atpi-overlay-actions');
+  actions.append(
+    explorerBtn,
+    createActionLink(`https://atproto.at://${urlWithoutPrefix}`, 'Open in atproto.at', 'atpi-overlay-action secondary'),
+    createActionLink(`${overlaySettings.remoteBaseUrl}//${urlWithoutPrefix}`, `Open in ${remoteServiceHost()}`, 'atpi-overlay-action secondary')
+  );
+  
+  overlay.replaceChildren(
+    header,
+    createElement('div', 'atpi-overlay-views'),
+    actions,
+    createElement('div', 'atpi-overlay-resize-handle')
+  );
+  
+  // Single records can be checked against their signed repo
+  if (data && data.cid && data.value && url.replace(/^at:\/\//, '').split('/')[2]) {
+    actions.before(renderRecordVerification(url, data));
+  }
+  
+  // In auto mode, say why local resolution didn't produce the data
+  if (fallbackReason) {
+    const notice = createElement('div', 'atpi-overlay-fallback', `Local resolution failed: ${fallbackReason}. Showing data from ${remoteServiceHost()}.`);
+    header.after(notice);
+    modeBadge.title = `Local resolution failed: ${fallbackReason}`;
+  }
+  
+  updateCompareButtons();
+  overlay.removeAttribute('aria-busy');
+  announce(`Preview loaded: ${url}`);
   
   // Add event listeners for controls
   setupOverlayControls(overlay, data);
+  const views = setupViews(overlay, url, data, identity);
+  setupPagination(overlay, url, data, source, views.refresh);
+}
+
+// Add record count and paging controls for collection listings
+function setupPagination(overlay, url, data, source, refreshViews) {
+  if (!data || !Array.isArray(data.records)) return;
+  
+  const views = overlay.querySelector('.atpi-overlay-views');
+  const title = overlay.querySelector('.atpi-overlay-title');
+  const count = createElement('span', 'atpi-overlay-count');
+  title.appendChild(count);
+  
+  // Paging follows the listRecords cursor from the PDS, so it needs local resolution
+  const canPage = source === 'local';
+  const pager = createElement('div', 'atpi-overlay-pager');
+  const moreBtn = createElement('button', null, 'Load more');
+  const allBtn = createElement('button', null, `Load all (max ${LOAD_ALL_CAP})`);
+  const reverseLabel = createElement('label');
+  const reverseBox = document.createElement('input');
+  reverseBox.type = 'checkbox';
+  reverseLabel.append(reverseBox, ' Oldest first');
+  pager.append(moreBtn, allBtn, reverseLabel);
+  if (canPage) {
+    views.after(pager);
+  }
+  
+  let reverse = false;
+  let busy = false;
+  
+  // Count and buttons only; re-rendering the views is left to update()
+  const updateControls = () => {
+    count.textContent = `${data.records.length}${data.cursor ? '+' : ''} records`;
+    moreBtn.disabled = busy || !data.cursor;
+    allBtn.disabled = busy || !data.cursor || data.records.length >= LOAD_ALL_CAP;
+    reverseBox.disabled = busy;
+  };
+  
+  const update = () => {
+    updateControls();
+    refreshViews();
+  };
+  
+  const fetchPage = async (cursor) => {
+    const response = await sendToBackground({
+      type: 'RESOLVE_URL',
+      url: url,
+      mode: 'local',
+      page: { cursor, limit: PAGE_SIZE, reverse }
+    });
+    return response.data;
+  };
+  
+  // Run a paging action, keeping whatever loaded before an error
+  const run = async (action) => {
+    busy = true;
+    updateControls();
+    try {
+      await action();
+    } catch (error) {
+      const errorEl = createElement('div', 'atpi-overlay-error', error.message);
+      pager.after(errorEl);
+      setTimeout(() => errorEl.remove(), 4000);
+    } finally {
+      busy = false;
+      update();
+    }
+  };
+  
+  const appendPage = (page) => {
+    data.records.push(...(page.records || []));
+    data.cursor = page.cursor;
+  };
+  
+  moreBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    run(async () => appendPage(await fetchPage(data.cursor)));
+  });
+  
+  allBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    run(async () => {
+      while (data.cursor && data.records.length < LOAD_ALL_CAP && overlay.isConnected) {
+        appendPage(await fetchPage(data.cursor));
+        // The views are rebuilt once when the loop ends
+        updateControls();
+      }
+    });
+  });
+  
+  reverseBox.addEventListener('change', (e) => {
+    e.stopPropagation();
+    reverse = reverseBox.checked;
+    run(async () => {
+      const page = await fetchPage(null);
+      data.records = page.records || [];
+      data.cursor = page.cursor;
+    });
+  });
+  
+  update();
+}
+
+// Check if an AT URL points at a whole repo (no collection)
+function isRepoUrl(url) {
+  const parts = url.replace(/^at:\/\//, '').split('/');
+  return !parts[1];
+}
+
+// Load the identity panel for a repo URL
+function loadIdentityPanel(url) {
+  const panel = createElement('div', 'atpi-identity');
+  panel.appendChild(createElement('div', 'atpi-overlay-loading', 'Loading identity...'));
+  
+  const identifier = url.replace(/^at:\/\//, '').split('/')[0];
+  sendToBackground({ type: 'RESOLVE_IDENTITY', identifier })
+    .then(response => panel.replaceChildren(renderIdentityPanel(response.identity)))
+    .catch(error => panel.replaceChildren(createElement('div', 'atpi-overlay-error', error.message)));
+  
+  return panel;
+}
+
+// Set up the Rendered / JSON / Identity views and the tabs between them
+// Returns refresh() for re-rendering after the data changes (e.g. paging)
+function setupViews(overlay, url, data, identity) {
+  const container = overlay.querySelector('.atpi-overlay-views');
+  const context = { uri: url, did: identity?.did, pds: identity?.pds, loadMedia: overlaySettings.loadMedia };
+  
+  const views = [
+    { id: 'rendered', label: 'Rendered', refreshable: true, render: () => renderRecordPreview(data, context) },
+    { id: 'json', label: 'JSON', refreshable: true, render: () => renderJsonView(data) }
+  ];
+  if (isRepoUrl(url)) {
+    views.push({ id: 'identity', label: 'Identity', render: () => loadIdentityPanel(url) });
+  }
+  
+  const tabs = createElement('div', 'atpi-overlay-tabs');
+  tabs.setAttribute('role', 'tablist');
+  const body = createElement('div');
+  body.setAttribute('role', 'tabpanel');
+  container.append(tabs, body);
+  
+  let active = null;
+  
+  const show = (view) => {
+    active = view;
+    if (!view.element) {
+      view.element = view.render();
+    }
+    body.replaceChildren(view.element);
+    tabs.querySelectorAll('.atpi-overlay-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === view.id);
+      tab.setAttribute('aria-selected', String(tab.dataset.view === view.id));
+    });
+  };
+  
+  const refresh = () => {
+    views.filter(view => view.refreshable).forEach(view => {
+      view.element = null;
+    });
+    
+    // Hide the Rendered tab when there's no renderer for this data
+    const rendered = views[0];
+    rendered.element = rendered.render();
+    rendered.available = !!rendered.element;
+    
+    tabs.replaceChildren();
+    const available = views.filter(view => view.available !== false);
+    available.forEach(view => {
+      const tab = createElement('button', 'atpi-overlay-tab', view.label);
+      tab.setAttribute('role', 'tab');
+      tab.dataset.view = view.id;
+      tab.addEventListener('click', (e) => {
+        e.stopPropagation();
+        preferredView = view.id;
+        show(view);
+      });
+      tabs.appendChild(tab);
+    });
+    tabs.hidden = available.length < 2;
+    
+    const current = active && available.includes(active) ? active : null;
+    show(current || available.find(view => view.id === preferredView) || available.find(view => view.id === 'json'));
+  };
+  
+  refresh();
+  
+  // Remote results come without the PDS, which blob links and thumbnails need
+  if (!context.pds && hasBlobRefs(data)) {
+    sendToBackground({ type: 'RESOLVE_PDS', url })
+      .then(({ did, pds }) => {
+        context.did = did;
+        context.pds = pds;
+        refresh();
+      })
+      .catch(error => logOverlay('No PDS for blobs:', error.message));
+  }
+  
+  return { refresh };
 }
 
 // Setup overlay controls (pin, close, drag, resize)
@@ -167,11 +685,11 @@ function setupOverlayControls(overlay, jsonData) {
         // Show feedback
         const originalText = copyBtn.textContent;
         copyBtn.textContent = '✅';
-        copyBtn.title = 'Copied!';
+        setButtonLabel(copyBtn, 'Copied!');
         
         setTimeout(() => {
           copyBtn.textContent = originalText;
-          copyBtn.title = 'Copy JSON';
+          setButtonLabel(copyBtn, 'Copy JSON');
         }, 2000);
       } catch (error) {
         console.error('Failed to copy:', error);
@@ -183,15 +701,32 @@ function setupOverlayControls(overlay, jsonData) {
     });
   }
   
+  // Explorer button: pages can't link to extension pages, so the service worker opens the tab
+  const explorerBtn = overlay.querySelector('.atpi-overlay-explorer');
+  if (explorerBtn) {
+    explorerBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      sendToBackground({ type: 'OPEN_EXPLORER', url: getOverlayState(overlay).url }).catch(error => {
+        logOverlay('Could not open the explorer:', error.message);
+      });
+    });
+  }
+  
+  // Compare button
+  const compareBtn = overlay.querySelector('.atpi-overlay-compare');
+  if (compareBtn) {
+    compareBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleCompareClick(overlay);
+    });
+  }
+  
   // Pin button
   const pinBtn = overlay.querySelector('.atpi-overlay-pin');
   if (pinBtn) {
     pinBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      isPinned = !isPinned;
-      pinBtn.classList.toggle('pinned');
-      pinBtn.textContent = isPinned ? '📌' : '📍';
-      pinBtn.title = isPinned ? 'Unpin overlay' : 'Pin overlay';
+      setOverlayPinned(overlay, !getOverlayState(overlay).pinned);
     });
   }
   
@@ -200,9 +735,7 @@ function setupOverlayControls(overlay, jsonData) {
   if (closeBtn) {
     closeBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      isPinned = false;
-      overlay.remove();
-      currentOverlay = null;
+      removeOverlay(overlay);
     });
   }
   
@@ -219,22 +752,84 @@ function setupOverlayControls(overlay, jsonData) {
   }
 }
 
+// Compare: the first overlay picked is pinned and waits for a second one
+function handleCompareClick(overlay) {
+  if (compareSource === overlay) {
+    setCompareSource(null);
+  } else if (!compareSource) {
+    setOverlayPinned(overlay, true);
+    setCompareSource(overlay);
+  } else {
+    const source = compareSource;
+    setCompareSource(null);
+    showComparison(source, overlay);
+  }
+}
+
+function setCompareSource(overlay) {
+  compareSource = overlay;
+  updateCompareButtons();
+}
+
+// Compare buttons say what a click does right now
+function updateCompareButtons() {
+  if (!overlayRoot) return;
+  overlayRoot.querySelectorAll('.atpi-overlay-compare').forEach(button => {
+    const picked = compareSource && compareSource.contains(button);
+    button.classList.toggle('active', !!picked);
+    button.setAttribute('aria-pressed', String(!!picked));
+    if (picked) {
+      setButtonLabel(button, 'Cancel compare');
+    } else if (compareSource) {
+      setButtonLabel(button, `Compare with ${getOverlayState(compareSource).url}`);
+    } else {
+      setButtonLabel(button, 'Compare with another overlay');
+    }
+  });
+}
+
+// Column heading for a compared record; the CID tells two versions of one record apart
+function compareLabel(state) {
+  const cid = state.data && typeof state.data.cid === 'string' ? state.data.cid : null;
+  return cid ? `${state.url} (…${cid.slice(-8)})` : state.url;
+}
+
+// Open a pinned overlay with the two records' JSON side by side
+function showComparison(left, right) {
+  const leftState = getOverlayState(left);
+  const rightState = getOverlayState(right);
+  
+  const rect = right.getBoundingClientRect();
+  const overlay = createOverlay(rect.left + 30, rect.top + 30);
+  overlay.classList.add('atpi-overlay-comparison');
+  getOverlayState(overlay).pinned = true;
+  
+  const header = createElement('div', 'atpi-overlay-header');
+  header.dataset.draggable = 'true';
+  const controls = createElement('div', 'atpi-overlay-controls');
+  controls.appendChild(createOverlayButton('atpi-overlay-close', '✕', 'Close comparison'));
+  header.append(createElement('div', 'atpi-overlay-title', '⇄ Compare'), controls);
+  
+  overlay.replaceChildren(
+    header,
+    renderJsonDiff(leftState.data, rightState.data, { left: compareLabel(leftState), right: compareLabel(rightState) }),
+    createElement('div', 'atpi-overlay-resize-handle')
+  );
+  setupOverlayControls(overlay, null);
+  getOverlayRoot().appendChild(overlay);
+}
+
 // Dragging functionality
 function startDragging(e) {
   if (e.target.closest('button')) return; // Don't drag when clicking buttons
   
-  isDragging = true;
   const overlay = e.target.closest('.atpi-overlay');
   const rect = overlay.getBoundingClientRect();
-  
-  dragOffset.x = e.clientX - rect.left;
-  dragOffset.y = e.clientY - rect.top;
+  const dragOffset = { x: e.clientX - rect.left, y: e.clientY - rect.top };
   
   overlay.style.cursor = 'grabbing';
   
   function handleMouseMove(e) {
-    if (!isDragging) return;
-    
     // For fixed positioning, use client coordinates
     let x = e.clientX - dragOffset.x;
     let y = e.clientY - dragOffset.y;
@@ -252,7 +847,6 @@ function startDragging(e) {
   }
   
   function handleMouseUp() {
-    isDragging = false;
     overlay.style.cursor = '';
     document.removeEventListener('mousemove', handleMouseMove);
     document.removeEventListener('mouseup', handleMouseUp);
@@ -291,39 +885,20 @@ function startResizing(e) {
   e.preventDefault();
 }
 
-// Resolve URL via background script
-async function resolveUrl(url) {
-  const startTime = Date.now();
-  
-  // Check cache first (mode-specific)
-  const modeCache = urlCache[currentMode];
-  const cached = modeCache.get(url);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    logOverlay(`Cache hit for ${url} in ${currentMode} mode (age: ${Date.now() - cached.timestamp}ms)`);
-    return { data: cached.data, mode: currentMode, cached: true };
-  }
+// Send a message to the background script with a timeout
+async function sendToBackground(message) {
+  // Add timeout for the message
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('Request timeout - please try again')), overlaySettings.messageTimeout);
+  });
   
-  logOverlay(`Starting resolution for ${url} in ${currentMode} mode`);
+  logOverlay(`Sending ${message.type} message to background script...`);
+  const messageSentTime = Date.now();
   
   try {
-    // Add timeout for the message
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Request timeout - please try again')), 10000);
-    });
-    
-    logOverlay(`Sending message to background script...`);
-    const messageSentTime = Date.now();
-    
-    const messagePromise = chrome.runtime.sendMessage({
-      type: 'RESOLVE_URL',
-      url: url,
-      mode: currentMode
-    });
-    
-    const response = await Promise.race([messagePromise, timeoutPromise]);
-    
-    const messageTime = Date.now() - messageSentTime;
-    logOverlay(`Background script responded in ${messageTime}ms`);
+    const response = await Promise.race([chrome.runtime.sendMessage(message), timeoutPromise]);
+    logOverlay(`Background script responded in ${Date.now() - messageSentTime}ms`);
     
     if (!response) {
       throw new Error('No response from extension - please reload the page');
@@ -333,17 +908,37 @@ async function resolveUrl(url) {
       throw new Error(response.error);
     }
     
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Resolve URL via background script (which keeps the shared persistent cache)
+async function resolveUrl(url) {
+  const startTime = Date.now();
+  const mode = overlaySettings.mode;
+  
+  logOverlay(`Starting resolution for ${url} in ${mode} mode`);
+  
+  try {
+    const response = await sendToBackground({
+      type: 'RESOLVE_URL',
+      url: url,
+      mode: mode
+    });
+    
     const duration = Date.now() - startTime;
-    logOverlay(`Resolution completed in ${duration}ms for ${currentMode} mode`);
+    logOverlay(`Resolution completed in ${duration}ms for ${mode} mode${response.cached ? ' (cached)' : ''}`);
     
-    // Cache the result in mode-specific cache
-    modeCache.set(url, {
+    return {
       data: response.data,
-      mode: currentMode,
-      timestamp: Date.now()
-    });
-    
-    return { data: response.data, mode: currentMode, cached: false };
+      identity: response.identity,
+      mode: mode,
+      source: response.source || mode,
+      fallbackReason: response.fallbackReason || null,
+      cached: !!response.cached
+    };
   } catch (error) {
     const duration = Date.now() - startTime;
     logOverlay(`Resolution failed after ${duration}ms:`, error.message);
@@ -351,42 +946,74 @@ async function resolveUrl(url) {
   }
 }
 
-// Handle hover on AT URLs
-async function handleHover(element, x, y) {
-  const url = element.dataset.atUrl;
+// Open the preview for an AT URL
+// options.opener: link that opened it from the keyboard, focused again on Escape
+// options.focus: move keyboard focus into the preview
+async function handleHover(url, x, y, options = {}) {
   if (!url) return;
   
-  // If there's a pinned overlay, don't create a new one
-  if (currentOverlay && isPinned) {
-    return;
-  }
-  
-  // Remove any existing overlay
-  if (currentOverlay) {
-    currentOverlay.remove();
+  // Replace the previous preview unless it already shows this URL; pinned overlays stay
+  if (hoverOverlay) {
+    const { history } = getOverlayState(hoverOverlay);
+    if (history.entries[history.index] === url) {
+      if (options.focus) hoverOverlay.focus();
+      return;
+    }
+    removeOverlay(hoverOverlay);
   }
   
-  // Reset pin state for new overlay
-  isPinned = false;
-  
   // Create new overlay
-  currentOverlay = createOverlay(x + 10, y + 10);
-  document.body.appendChild(currentOverlay);
+  const overlay = createOverlay(x + 10, y + 10);
+  hoverOverlay = overlay;
+  getOverlayState(overlay).opener = options.opener || null;
+  getOverlayRoot().appendChild(overlay);
+  if (options.focus) overlay.focus();
   
-  // Show loading state
-  showLoading(currentOverlay);
+  await navigateOverlay(overlay, url);
+}
+
+// Preview at a link's bottom-left corner, for previews opened from the keyboard
+function previewFromKeyboard(target, focus) {
+  const rect = target.element.getBoundingClientRect();
+  handleHover(target.url, rect.left - 10, rect.bottom - 10, { opener: target.element, focus });
+}
+
+// AT URL inside an existing link's href or text
+const LINK_AT_URL_PATTERN = /at:\/\/[a-zA-Z0-9._:%-]+(?:\/[a-zA-Z0-9._-]+)*(?:\/[a-zA-Z0-9._~:@!$&'()*+,;=-]+)?/;
+
+// Get the AT URL for an existing link, mapping web frontend URLs (bsky.app etc.)
+function getLinkAtUrl(link) {
+  const href = link.href || '';
+  const match = href.match(LINK_AT_URL_PATTERN) || link.textContent.match(LINK_AT_URL_PATTERN);
+  if (match) return match[0];
+  return mapWebUrlToAtUri(href);
+}
+
+// AT URL and link element for a wrapped URL or an existing AT link, or null
+function getAtLinkTarget(node) {
+  if (!node || !node.closest) return null;
+  
+  const wrapper = node.closest('.atpi-url-wrapper');
+  if (wrapper) {
+    return { url: wrapper.dataset.atUrl, element: wrapper.querySelector('.atpi-url-link') || wrapper };
+  }
   
+  const link = node.closest('a');
+  const url = link && link.href ? getLinkAtUrl(link) : null;
+  return url ? { url, element: link } : null;
+}
+
+// Previews only open where the site mode allows them (and once site rules have loaded)
+function previewsAllowed() {
+  return siteMode === 'full' || siteMode === 'hover';
+}
+
+// Whether focus came from the keyboard; mouse clicks focus links too
+function isKeyboardFocus(element) {
   try {
-    const result = await resolveUrl(url);
-    // Check if overlay still exists (might have been removed while loading)
-    if (currentOverlay && currentOverlay.isConnected) {
-      showData(currentOverlay, url, result.data, result.mode);
-    }
-  } catch (error) {
-    // Check if overlay still exists
-    if (currentOverlay && currentOverlay.isConnected) {
-      showError(currentOverlay, error.message);
-    }
+    return element.matches(':focus-visible');
+  } catch (e) {
+    return true;
   }
 }
 
@@ -395,46 +1022,71 @@ function setupHoverListeners() {
   document.addEventListener('mouseover', (event) => {
     if (!event.target || !event.target.closest) return;
     
-    // Check for our wrapped URLs
-    const wrapper = event.target.closest('.atpi-url-wrapper');
-    if (wrapper) {
-      logOverlay('Hover over AT URL:', wrapper.dataset.atUrl);
-      
-      // Clear any existing timeout
-      if (hoverTimeout) {
-        clearTimeout(hoverTimeout);
-      }
-      
-      // Delay before showing overlay (to avoid accidental hovers)
-      hoverTimeout = setTimeout(() => {
-        handleHover(wrapper, event.clientX, event.clientY);
-      }, 300);
+    // Previews are off on this site, or the site rules haven't loaded yet
+    if (!previewsAllowed()) return;
+    
+    // Links inside the overlay itself don't open new overlays
+    if (isInsideOverlay(event.target)) return;
+    
+    // Our wrapped URLs, or existing links with AT URLs or known web frontends (bsky.app etc.)
+    const target = getAtLinkTarget(event.target);
+    if (!target) return;
+    logOverlay('Hover over AT URL:', target.url);
+    
+    // Clear any existing timeout
+    if (hoverTimeout) {
+      clearTimeout(hoverTimeout);
+    }
+    
+    // Delay before showing overlay (to avoid accidental hovers)
+    hoverTimeout = setTimeout(() => {
+      handleHover(target.url, event.clientX, event.clientY);
+    }, overlaySettings.hoverDelay);
+  });
+  
+  // Keyboard users get the same preview when an AT link takes focus
+  document.addEventListener('focusin', (event) => {
+    if (!previewsAllowed() || isInsideOverlay(event.target)) return;
+    
+    // Focus handed back by Escape shouldn't reopen the preview
+    if (event.target === skipFocusPreview) {
+      skipFocusPreview = null;
       return;
     }
     
-    // Also check for existing links with AT URLs
-    const link = event.target.closest('a');
-    if (link && link.href) {
-      // Check if the href or text content contains an AT URL
-      const atUrlMatch = link.href.match(/at:\/\/[a-zA-Z0-9._:%-]+(?:\/[a-zA-Z0-9._-]+)*(?:\/[a-zA-Z0-9._~:@!$&'()*+,;=-]+)?/) ||
-                         link.textContent.match(/at:\/\/[a-zA-Z0-9._:%-]+(?:\/[a-zA-Z0-9._-]+)*(?:\/[a-zA-Z0-9._~:@!$&'()*+,;=-]+)?/);
-      
-      if (atUrlMatch) {
-        // Clear any existing timeout
-        if (hoverTimeout) {
-          clearTimeout(hoverTimeout);
-        }
-        
-        // Create a temporary wrapper-like object for the existing link
-        const tempWrapper = {
-          dataset: { atUrl: atUrlMatch[0] }
-        };
-        
-        // Delay before showing overlay
-        hoverTimeout = setTimeout(() => {
-          handleHover(tempWrapper, event.clientX, event.clientY);
-        }, 300);
-      }
+    const target = getAtLinkTarget(event.target);
+    if (!target || !isKeyboardFocus(event.target)) return;
+    
+    if (hoverTimeout) {
+      clearTimeout(hoverTimeout);
+    }
+    hoverTimeout = setTimeout(() => previewFromKeyboard(target, false), overlaySettings.hoverDelay);
+  });
+  
+  document.addEventListener('focusout', (event) => {
+    if (!getAtLinkTarget(event.target)) return;
+    
+    if (hoverTimeout) {
+      clearTimeout(hoverTimeout);
+      hoverTimeout = null;
+    }
+    
+    // Focus moving into the preview keeps it open
+    if (isInsideOverlay(event.relatedTarget)) return;
+    if (hoverOverlay && getOverlayState(hoverOverlay).opener === event.target) {
+      removeOverlay(hoverOverlay);
+    }
+  });
+  
+  // Escape on the page closes the unpinned preview
+  // Focus only moves back to the opener if it's already there; elsewhere the page keeps it
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape' || !hoverOverlay) return;
+    const { opener } = getOverlayState(hoverOverlay);
+    if (opener && opener.contains(event.target)) {
+      closeOverlayFromKeyboard(hoverOverlay);
+    } else {
+      removeOverlay(hoverOverlay);
     }
   });
   
@@ -450,8 +1102,7 @@ function setupHoverListeners() {
     
     // For links, check if it contains an AT URL
     if (link && !wrapper) {
-      const hasAtUrl = link.href.includes('at://') || link.textContent.includes('at://');
-      if (!hasAtUrl) return;
+      if (!getLinkAtUrl(link)) return;
     }
     
     // Clear hover timeout
@@ -464,78 +1115,102 @@ function setupHoverListeners() {
     const relatedTarget = event.relatedTarget;
     if (relatedTarget && (
       relatedTarget.closest('.atpi-url-wrapper') ||
-      relatedTarget.closest('.atpi-overlay') ||
-      (relatedTarget.closest('a') && (relatedTarget.closest('a').href.includes('at://') || relatedTarget.closest('a').textContent.includes('at://')))
+      isInsideOverlay(relatedTarget) ||
+      (relatedTarget.closest('a') && getLinkAtUrl(relatedTarget.closest('a')))
     )) {
       return;
     }
     
-    // Add delay before removing overlay (2 seconds)
-    if (currentOverlay && !isPinned) {
+    // Add delay before removing overlay
+    if (hoverOverlay) {
+      const overlay = hoverOverlay;
       setTimeout(() => {
-        // Check if mouse is not over overlay or wrapper and not pinned
+        // Check the overlay is still the unpinned preview and the mouse is not over it or a wrapper
+        if (overlay !== hoverOverlay) return;
         const hoveredElement = document.elementFromPoint(event.clientX, event.clientY);
-        if (!isPinned && (!hoveredElement || 
-            (!hoveredElement.closest('.atpi-overlay') && 
+        if (!hoveredElement || 
+            (!isInsideOverlay(hoveredElement) &&
              !hoveredElement.closest('.atpi-url-wrapper') &&
-             !(hoveredElement.closest('a') && (hoveredElement.closest('a').href.includes('at://') || hoveredElement.closest('a').textContent.includes('at://')))))) {
-          if (currentOverlay) {
-            currentOverlay.remove();
-            currentOverlay = null;
-          }
+             !(hoveredElement.closest('a') && getLinkAtUrl(hoveredElement.closest('a'))))) {
+          removeOverlay(overlay);
         }
-      }, 4000);
+      }, overlaySettings.hideDelay);
     }
   });
   
-  // Handle mouseout from overlay itself
-  document.addEventListener('mouseleave', (event) => {
-    if (!event.target || !event.target.closest) return;
-    if (!event.target.closest('.atpi-overlay')) return;
-    
-    // Delay to allow moving back to link (2 seconds)
-    setTimeout(() => {
-      if (isPinned) return; // Don't remove if pinned
-      const hoveredElement = document.querySelector(':hover');
-      if (!hoveredElement || (!hoveredElement.closest('.atpi-overlay') && !hoveredElement.closest('.atpi-url-wrapper'))) {
-        if (currentOverlay) {
-          currentOverlay.remove();
-          currentOverlay = null;
-        }
-      }
-    }, 2000);
-  });
-  
-  // Also remove overlay when clicking anywhere
+  // Also remove the unpinned overlay when clicking anywhere
   document.addEventListener('click', (event) => {
     if (!event.target || !event.target.closest) return;
-    if (currentOverlay && !event.target.closest('.atpi-overlay')) {
-      currentOverlay.remove();
-      currentOverlay = null;
+    if (hoverOverlay && !isInsideOverlay(event.target)) {
+      removeOverlay(hoverOverlay);
     }
   });
 }
 
-// Clear cache function
-function clearCache(mode = null) {
-  if (mode) {
-    const cleared = urlCache[mode].size;
-    urlCache[mode].clear();
-    logOverlay(`Cleared ${cleared} entries from ${mode} cache`);
-  } else {
-    const localCleared = urlCache.local.size;
-    const remoteCleared = urlCache.remote.size;
-    urlCache.local.clear();
-    urlCache.remote.clear();
-    logOverlay(`Cleared ${localCleared} entries from local cache and ${remoteCleared} entries from remote cache`);
+// Where the page's context menu was last opened, for the context menu's "Preview AT record"
+let contextMenuPoint = null;
+
+document.addEventListener('contextmenu', (event) => {
+  contextMenuPoint = {
+    x: event.clientX,
+    y: event.clientY,
+    opener: document.activeElement !== document.body ? document.activeElement : null
+  };
+}, true);
+
+// Short message near the bottom of the window, e.g. after copying from the context menu
+function showNotice(message) {
+  const root = getOverlayRoot();
+  const notice = createElement('div', 'atpi-notice', message);
+  notice.setAttribute('aria-hidden', 'true');
+  root.querySelectorAll('.atpi-notice').forEach(old => old.remove());
+  root.appendChild(notice);
+  announce(message);
+  setTimeout(() => notice.remove(), 3000);
+}
+
+// Copy text for the service worker, which has no clipboard of its own
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (error) {
+    // The async clipboard needs a focused document; execCommand works with clipboardWrite
+    const previousFocus = document.activeElement;
+    const field = document.createElement('textarea');
+    field.value = text;
+    field.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0;';
+    document.documentElement.appendChild(field);
+    field.select();
+    const copied = document.execCommand('copy');
+    field.remove();
+    if (previousFocus && previousFocus.focus) previousFocus.focus();
+    if (!copied) throw error;
   }
 }
 
-// Listen for cache clear messages from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'CLEAR_CACHE') {
-    clearCache();
-    sendResponse({ success: true });
+// Messages from the service worker: keyboard commands and context menu actions
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'PREVIEW_FOCUSED_LINK') {
+    // Every frame gets the command, the one with focus acts
+    if (!previewsAllowed() || !document.hasFocus()) return;
+    
+    const target = getAtLinkTarget(document.activeElement);
+    if (target) {
+      previewFromKeyboard(target, true);
+    }
+  } else if (message.type === 'SHOW_PREVIEW') {
+    // Asked for explicitly, so it opens whatever the site mode says
+    const point = contextMenuPoint || { x: window.innerWidth / 2 - 200, y: 40, opener: null };
+    handleHover(message.url, point.x, point.y, { opener: point.opener, focus: true });
+  } else if (message.type === 'COPY_TEXT') {
+    copyText(message.text)
+      .then(() => showNotice(`Copied ${message.text}`))
+      .catch(error => {
+        logOverlay('Copy failed:', error.message);
+        showNotice(`Couldn't copy ${message.text}`);
+      });
+  } else if (message.type === 'SHOW_NOTICE') {
+    showNotice(message.message);
   }
 });
 
@@ -0,0 +1,373 @@
+/**
+ * Rendered previews for AT Protocol records
+ * Renderers are registered per lexicon NSID and turn a record value into DOM.
+ * All content is set through textContent / validated attributes, never innerHTML.
+ */
+
+// Registry of record renderers keyed on $type / collection NSID
+const RECORD_RENDERERS = new Map();
+
+// Register a renderer: (value, context) => Node
+// context: { uri, cid, did, pds, loadMedia }
+function registerRecordRenderer(nsid, renderer) {
+  RECORD_RENDERERS.set(nsid, renderer);
+}
+
+// Create an element with an optional class name and text
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined && text !== null) element.textContent = text;
+  return element;
+}
+
+// Format an ISO timestamp for display
+function formatTimestamp(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}
+
+// Format a byte count for display
+function formatBytes(size) {
+  if (typeof size !== 'number') return '';
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Only allow http(s) links from record content
+function isSafeHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+// Get the DID / handle from an at:// URI
+function repoFromUri(uri) {
+  return typeof uri === 'string' ? uri.replace(/^at:\/\//, '').split('/')[0] : null;
+}
+
+// Get the collection NSID from an at:// URI
+function collectionFromUri(uri) {
+  return typeof uri === 'string' ? uri.replace(/^at:\/\//, '').split('/')[1] || null : null;
+}
+
+// Link to another AT record
+function renderAtLink(uri, text) {
+  if (typeof uri !== 'string' || !uri.startsWith('at://')) {
+    return createElement('span', null, text || String(uri));
+  }
+  const link = createElement('a', 'atpi-at-link', text || uri);
+  link.href = `https://atproto.at://${uri.substring(5)}`;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.dataset.atUrl = uri;
+  return link;
+}
+
+// Link to an external web page
+function renderExternalLink(uri, text) {
+  if (!isSafeHttpUrl(uri)) {
+    return createElement('span', null, text || String(uri));
+  }
+  const link = createElement('a', null, text || uri);
+  link.href = uri;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  return link;
+}
+
+// Whether a response holds blob refs anywhere (current { $type: 'blob' } or legacy { cid, mimeType })
+function hasBlobRefs(value, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 32) return false;
+  if (value.$type === 'blob' || (typeof value.cid === 'string' && typeof value.mimeType === 'string')) return true;
+  return Object.values(value).some(item => hasBlobRefs(item, depth + 1));
+}
+
+// getBlob URL on the repo's PDS, or null when the PDS isn't known (yet)
+function getBlobUrl(cid, context) {
+  if (!cid || !isSafeHttpUrl(context.pds) || !context.did) return null;
+  return `${context.pds}/xrpc/com.atproto.sync.getBlob?did=${encodeURIComponent(context.did)}&cid=${encodeURIComponent(cid)}`;
+}
+
+// Blob reference: CID, MIME type, size and a download link once the PDS is known
+// Images also get a thumbnail when context.loadMedia is on
+function renderBlobRef(blob, label, context, alt) {
+  const row = createElement('div', 'atpi-rendered-blob');
+  if (!blob || typeof blob !== 'object') return row;
+  
+  // Current blobs use ref.$link, legacy blobs a bare cid
+  const cid = blob.ref?.$link || blob.cid;
+  const url = getBlobUrl(cid, context);
+  const isImage = typeof blob.mimeType === 'string' && blob.mimeType.startsWith('image/');
+  
+  if (url && isImage && context.loadMedia) {
+    const thumbLink = createElement('a', 'atpi-rendered-thumb-link');
+    thumbLink.href = url;
+    thumbLink.target = '_blank';
+    thumbLink.rel = 'noopener noreferrer';
+    const thumb = document.createElement('img');
+    thumb.className = 'atpi-rendered-thumb';
+    thumb.alt = alt || label;
+    thumb.loading = 'lazy';
+    thumb.referrerPolicy = 'no-referrer';
+    // Pages whose CSP blocks the image still have the link below
+    thumb.addEventListener('error', () => thumbLink.remove());
+    thumb.src = url;
+    thumbLink.appendChild(thumb);
+    row.appendChild(thumbLink);
+  }
+  
+  row.appendChild(createElement('span', 'atpi-rendered-label', `${label} `));
+  row.appendChild(createElement('code', null, cid || 'unknown blob'));
+  
+  const details = [blob.mimeType, formatBytes(blob.size)].filter(Boolean).join(', ');
+  if (details) {
+    row.appendChild(createElement('span', 'atpi-rendered-meta', ` (${details})`));
+  }
+  if (url) {
+    row.append(' ', renderExternalLink(url, isImage ? 'Open' : 'Download'));
+  }
+  return row;
+}
+
+// Rich text with facets (links, mentions, tags); facet offsets are UTF-8 byte indexes
+function renderRichText(text, facets) {
+  const container = createElement('div', 'atpi-rendered-text');
+  if (typeof text !== 'string') return container;
+  
+  if (!Array.isArray(facets) || facets.length === 0) {
+    container.textContent = text;
+    return container;
+  }
+  
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  const bytes = encoder.encode(text);
+  const sorted = facets
+    .filter(f => f && f.index && Number.isInteger(f.index.byteStart) && Number.isInteger(f.index.byteEnd))
+    .sort((a, b) => a.index.byteStart - b.index.byteStart);
+  
+  let cursor = 0;
+  sorted.forEach(facet => {
+    const start = Math.max(facet.index.byteStart, 0);
+    const end = Math.min(facet.index.byteEnd, bytes.length);
+    if (start < cursor || end <= start) return; // Skip overlapping or empty facets
+    
+    container.appendChild(document.createTextNode(decoder.decode(bytes.slice(cursor, start))));
+    const segment = decoder.decode(bytes.slice(start, end));
+    const feature = Array.isArray(facet.features) ? facet.features[0] : null;
+    
+    if (feature?.$type === 'app.bsky.richtext.facet#link') {
+      container.appendChild(renderExternalLink(feature.uri, segment));
+    } else if (feature?.$type === 'app.bsky.richtext.facet#mention' && typeof feature.did === 'string') {
+      container.appendChild(renderAtLink(`at://${feature.did}`, segment));
+    } else if (feature?.$type === 'app.bsky.richtext.facet#tag') {
+      container.appendChild(createElement('span', 'atpi-rendered-tag', segment));
+    } else {
+      container.appendChild(document.createTextNode(segment));
+    }
+    cursor = end;
+  });
+  container.appendChild(document.createTextNode(decoder.decode(bytes.slice(cursor))));
+  
+  return container;
+}
+
+// Label + value row
+function renderField(label, value) {
+  const row = createElement('div', 'atpi-rendered-field');
+  row.appendChild(createElement('span', 'atpi-rendered-label', `${label} `));
+  row.appendChild(value instanceof Node ? value : createElement('span', null, value));
+  return row;
+}
+
+// Post embeds: images, external cards, quoted records, video
+function renderEmbed(embed, context) {
+  const container = createElement('div', 'atpi-rendered-embed');
+  if (!embed || typeof embed !== 'object') return container;
+  
+  switch (embed.$type) {
+    case 'app.bsky.embed.images':
+      (embed.images || []).forEach((image, index) => {
+        container.appendChild(renderBlobRef(image.image, `🖼 Image ${index + 1}`, context, image.alt));
+        if (image.alt) {
+          container.appendChild(createElement('div', 'atpi-rendered-meta', `Alt: ${image.alt}`));
+        }
+      });
+      break;
+    case 'app.bsky.embed.external': {
+      const external = embed.external || {};
+      container.appendChild(renderExternalLink(external.uri, external.title || external.uri));
+      if (external.description) {
+        container.appendChild(createElement('div', 'atpi-rendered-meta', external.description));
+      }
+      if (external.thumb) {
+        container.appendChild(renderBlobRef(external.thumb, 'Thumbnail', context));
+      }
+      break;
+    }
+    case 'app.bsky.embed.record':
+      container.appendChild(renderField('Quoting', renderAtLink(embed.record?.uri)));
+      break;
+    case 'app.bsky.embed.recordWithMedia':
+      container.appendChild(renderField('Quoting', renderAtLink(embed.record?.record?.uri)));
+      container.appendChild(renderEmbed(embed.media, context));
+      break;
+    case 'app.bsky.embed.video':
+      container.appendChild(renderBlobRef(embed.video, '🎞 Video', context));
+      if (embed.alt) {
+        container.appendChild(createElement('div', 'atpi-rendered-meta', `Alt: ${embed.alt}`));
+      }
+      break;
+    default:
+      container.appendChild(createElement('div', 'atpi-rendered-meta', `Embed: ${embed.$type || 'unknown'}`));
+  }
+  
+  return container;
+}
+
+// Footer with the record timestamp
+function renderCreatedAt(value) {
+  return value.createdAt
+    ? createElement('div', 'atpi-rendered-meta', formatTimestamp(value.createdAt))
+    : document.createDocumentFragment();
+}
+
+registerRecordRenderer('app.bsky.feed.post', (value, context) => {
+  const card = createElement('div', 'atpi-rendered-card');
+  
+  if (value.reply) {
+    const reply = createElement('div', 'atpi-rendered-reply');
+    reply.appendChild(renderField('↩ Reply to', renderAtLink(value.reply.parent?.uri)));
+    if (value.reply.root?.uri && value.reply.root.uri !== value.reply.parent?.uri) {
+      reply.appendChild(renderField('Thread', renderAtLink(value.reply.root.uri)));
+    }
+    card.appendChild(reply);
+  }
+  
+  card.appendChild(renderRichText(value.text, value.facets));
+  if (value.embed) {
+    card.appendChild(renderEmbed(value.embed, context));
+  }
+  
+  const meta = [value.createdAt ? formatTimestamp(value.createdAt) : null];
+  if (Array.isArray(value.langs) && value.langs.length) meta.push(value.langs.join(', '));
+  card.appendChild(createElement('div', 'atpi-rendered-meta', meta.filter(Boolean).join(' · ')));
+  return card;
+});
+
+registerRecordRenderer('app.bsky.actor.profile', (value, context) => {
+  const card = createElement('div', 'atpi-rendered-card');
+  card.appendChild(createElement('div', 'atpi-rendered-title', value.displayName || '(no display name)'));
+  if (value.description) {
+    card.appendChild(createElement('div', 'atpi-rendered-text', value.description));
+  }
+  if (value.avatar) card.appendChild(renderBlobRef(value.avatar, 'Avatar', context));
+  if (value.banner) card.appendChild(renderBlobRef(value.banner, 'Banner', context));
+  if (value.pinnedPost?.uri) card.appendChild(renderField('Pinned', renderAtLink(value.pinnedPost.uri)));
+  card.appendChild(renderCreatedAt(value));
+  return card;
+});
+
+// Records whose point is a subject: likes, reposts, follows, blocks, list items
+[
+  ['app.bsky.feed.like', '❤️ Liked'],
+  ['app.bsky.feed.repost', '🔁 Reposted'],
+  ['app.bsky.graph.follow', '➕ Followed'],
+  ['app.bsky.graph.block', '⛔ Blocked'],
+  ['app.bsky.graph.listitem', '📋 Added to list']
+].forEach(([nsid, label]) => {
+  registerRecordRenderer(nsid, (value) => {
+    const card = createElement('div', 'atpi-rendered-card');
+    const subject = typeof value.subject === 'string' ? `at://${value.subject}` : value.subject?.uri;
+    card.appendChild(renderField(label, renderAtLink(subject)));
+    if (value.list) card.appendChild(renderField('List', renderAtLink(value.list)));
+    card.appendChild(renderCreatedAt(value));
+    return card;
+  });
+});
+
+registerRecordRenderer('app.bsky.graph.list', (value, context) => {
+  const card = createElement('div', 'atpi-rendered-card');
+  card.appendChild(createElement('div', 'atpi-rendered-title', value.name || '(unnamed list)'));
+  if (value.purpose) card.appendChild(createElement('div', 'atpi-rendered-meta', value.purpose.split('#').pop()));
+  if (value.description) card.appendChild(renderRichText(value.description, value.descriptionFacets));
+  if (value.avatar) card.appendChild(renderBlobRef(value.avatar, 'Avatar', context));
+  card.appendChild(renderCreatedAt(value));
+  return card;
+});
+
+registerRecordRenderer('app.bsky.feed.generator', (value, context) => {
+  const card = createElement('div', 'atpi-rendered-card');
+  card.appendChild(createElement('div', 'atpi-rendered-title', value.displayName || '(unnamed feed)'));
+  if (value.description) card.appendChild(renderRichText(value.description, value.descriptionFacets));
+  if (value.did) card.appendChild(renderField('Service', renderAtLink(`at://${value.did}`, value.did)));
+  if (value.avatar) card.appendChild(renderBlobRef(value.avatar, 'Avatar', context));
+  card.appendChild(renderCreatedAt(value));
+  return card;
+});
+
+// Render a single record value with its registered renderer, or null
+function renderRecordValue(value, context) {
+  if (!value || typeof value !== 'object') return null;
+  const nsid = value.$type || collectionFromUri(context.uri);
+  const renderer = RECORD_RENDERERS.get(nsid);
+  if (!renderer) return null;
+  try {
+    return renderer(value, context);
+  } catch (error) {
+    return createElement('div', 'atpi-overlay-error', `Could not render ${nsid}: ${error.message}`);
+  }
+}
+
+// Render a resolved response (getRecord, listRecords or describeRepo), or null
+// when there's nothing better than the raw JSON
+function renderRecordPreview(data, context = {}) {
+  if (!data || typeof data !== 'object') return null;
+  
+  // listRecords
+  if (Array.isArray(data.records)) {
+    const list = createElement('div', 'atpi-rendered');
+    data.records.forEach(record => {
+      const recordContext = { ...context, uri: record.uri, cid: record.cid, did: context.did || repoFromUri(record.uri) };
+      const item = createElement('div', 'atpi-rendered-item');
+      item.appendChild(renderAtLink(record.uri, record.uri?.split('/').pop()));
+      item.appendChild(
+        renderRecordValue(record.value, recordContext) ||
+        createElement('div', 'atpi-rendered-meta', `No preview for ${record.value?.$type || 'this record'}`)
+      );
+      list.appendChild(item);
+    });
+    if (data.records.length === 0) {
+      list.appendChild(createElement('div', 'atpi-rendered-meta', 'No records'));
+    }
+    return list;
+  }
+  
+  // getRecord
+  if (data.value && typeof data.value === 'object') {
+    const rendered = renderRecordValue(data.value, { ...context, uri: data.uri || context.uri, cid: data.cid });
+    if (!rendered) return null;
+    const wrapper = createElement('div', 'atpi-rendered');
+    wrapper.appendChild(rendered);
+    return wrapper;
+  }
+  
+  // describeRepo
+  if (typeof data.did === 'string' && Array.isArray(data.collections)) {
+    const card = createElement('div', 'atpi-rendered atpi-rendered-card');
+    card.appendChild(createElement('div', 'atpi-rendered-title', data.handle ? `@${data.handle}` : data.did));
+    card.appendChild(renderField('DID', data.did));
+    if (data.handleIsCorrect === false) {
+      card.appendChild(createElement('div', 'atpi-overlay-error', 'PDS reports this handle as incorrect'));
+    }
+    card.appendChild(createElement('div', 'atpi-rendered-label', `Collections (${data.collections.length})`));
+    data.collections.forEach(collection => {
+      const row = createElement('div', 'atpi-rendered-field');
+      row.appendChild(renderAtLink(`at://${data.did}/${collection}`, collection));
+      card.appendChild(row);
+    });
+    return card;
+  }
+  
+  return null;
+}
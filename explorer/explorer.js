@@ -0,0 +1,504 @@
+// Debug logging with timestamps
+let DEBUG = false; // Will be loaded from storage
+const log = (...args) => {
+  if (DEBUG) {
+    const timestamp = new Date().toISOString().split('T')[1].slice(0, -1);
+    console.log(`[${timestamp}] [ATPI Explorer]`, ...args);
+  }
+};
+
+// Full-page explorer for repos, collections and records: explorer.html#at://...
+// The URI lives in the hash so views can be bookmarked, reloaded and navigated with back/forward.
+// Everything is resolved in local mode, straight from the repo's PDS.
+// A repo CAR file opened from disk (or dropped on the page) is browsed offline under its DID instead.
+
+// Records per listRecords page
+const PAGE_SIZE = 50;
+
+const explorerSettings = { ...SETTINGS_DEFAULTS };
+const settingsReady = loadSettings().then(settings => {
+  Object.assign(explorerSettings, settings);
+  DEBUG = settings.debugMode;
+});
+
+const queryInput = document.getElementById('query');
+const statusEl = document.getElementById('status');
+const repoEl = document.getElementById('repo');
+const resultEl = document.getElementById('result');
+
+// Only the latest navigation gets to render
+let currentLookup = null;
+
+// Repo shown in the sidebar: { identifier, did, identity, describe (describeRepo response), source }
+let currentRepo = null;
+
+// Repo CAR file opened from disk: { name, repo (readRepoCar result) }
+let currentCar = null;
+
+function setStatus(message, isError = false) {
+  statusEl.textContent = message;
+  statusEl.className = `status${isError ? ' error' : ''}`;
+}
+
+// Send a message to the service worker, turning { error } responses into exceptions
+async function sendToBackground(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response) {
+    throw new Error('No response from the extension');
+  }
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
+
+// Resolve an AT URI from its PDS
+// page: optional { cursor, limit, reverse } for collection listings
+function resolveLocal(url, page) {
+  return sendToBackground({ type: 'RESOLVE_URL', url, mode: 'local', page });
+}
+
+// Where repo views get records from: the repo's PDS...
+const pdsSource = {
+  listRecords: async (atUri, page) => (await resolveLocal(atUri, page)).data,
+  getRecord: (atUri) => resolveLocal(atUri)
+};
+
+// ...or an opened CAR file, paged the same way as listRecords (newest first unless reversed)
+function carSource(car) {
+  const identity = { did: car.repo.did, handle: null, pds: null };
+  return {
+    listRecords: async (atUri, { cursor, limit, reverse }) => {
+      const collection = atUri.substring(5).split('/')[1];
+      const records = car.repo.records.filter(record => record.collection === collection);
+      if (!reverse) records.reverse();
+      const start = cursor ? Number(cursor) : 0;
+      const end = start + limit;
+      return {
+        records: records.slice(start, end),
+        cursor: end < records.length ? String(end) : null
+      };
+    },
+    getRecord: async (atUri) => {
+      const [, collection, rkey] = atUri.substring(5).split('/');
+      const record = car.repo.records.find(r => r.collection === collection && r.rkey === rkey);
+      if (!record) {
+        throw new Error(`Record not found in ${car.name}`);
+      }
+      return { data: { uri: record.uri, cid: record.cid, value: record.value }, identity };
+    }
+  };
+}
+
+// Hash for an AT URI (or for text that isn't one, so the error shows)
+function explorerHash(value) {
+  return `#${encodeURI(value).replace(/#/g, '%23')}`;
+}
+
+// What the page address points at; ?uri= is the older form and gets rewritten to the hash
+function currentInput() {
+  const legacy = new URLSearchParams(location.search).get('uri');
+  if (legacy) {
+    history.replaceState(null, '', `${location.pathname}${explorerHash(legacy)}`);
+    return legacy;
+  }
+  try {
+    return decodeURIComponent(location.hash.slice(1));
+  } catch (e) {
+    return location.hash.slice(1);
+  }
+}
+
+// Show whatever the address points at
+async function route() {
+  const input = currentInput();
+  const atUri = findAtUri(input);
+  queryInput.value = atUri || input;
+  
+  if (!atUri) {
+    currentLookup = null;
+    resultEl.replaceChildren();
+    setStatus(input ? `Not a handle, DID, at:// URI or known web URL: ${input}` : '', !!input);
+    document.title = 'ATPI Explorer';
+    return;
+  }
+  
+  const [repo, collection, rkey] = atUri.substring(5).split('/');
+  document.title = `${atUri} - ATPI Explorer`;
+  const lookup = Symbol(atUri);
+  currentLookup = lookup;
+  const isCurrent = () => currentLookup === lookup;
+  
+  resultEl.replaceChildren();
+  setStatus('Loading...');
+  
+  try {
+    await settingsReady;
+    await loadRepo(repo, isCurrent);
+    if (!isCurrent()) return;
+    
+    if (rkey) {
+      await showRecord(atUri, isCurrent);
+    } else if (collection) {
+      await showCollection(atUri, isCurrent);
+    } else {
+      showRepo();
+    }
+    if (!isCurrent()) return;
+    
+    updateActiveCollection(collection);
+    setStatus('');
+  } catch (error) {
+    if (!isCurrent()) return;
+    log('Lookup failed:', error.message);
+    setStatus(error.message, true);
+  }
+}
+
+// Load the sidebar for a repo: identity summary and its collections
+async function loadRepo(identifier, isCurrent) {
+  if (currentCar && identifier === currentCar.repo.did) {
+    if (!currentRepo || currentRepo.source === pdsSource) {
+      loadCarRepo();
+    }
+    return;
+  }
+  if (currentRepo && (currentRepo.identifier === identifier || currentRepo.did === identifier)) {
+    return;
+  }
+  
+  currentRepo = null;
+  repoEl.replaceChildren(createElement('div', 'atpi-overlay-loading', 'Loading repository...'));
+  let response;
+  try {
+    response = await resolveLocal(`at://${identifier}`);
+  } catch (error) {
+    if (isCurrent()) repoEl.replaceChildren();
+    throw error;
+  }
+  if (!isCurrent()) return;
+  
+  const { data, identity } = response;
+  currentRepo = { identifier, did: identity.did, identity, describe: data, source: pdsSource };
+  log('Repository loaded:', identity.did);
+  
+  const title = createElement('a', 'repo-title', identity.handle ? `@${identity.handle}` : identity.did);
+  title.href = explorerHash(`at://${identity.did}`);
+  
+  const summary = createElement('div', 'repo-summary');
+  summary.appendChild(title);
+  if (identity.verification) {
+    summary.appendChild(createVerificationBadge(identity));
+  }
+  summary.append(
+    createElement('div', 'repo-meta', identity.did),
+    createElement('div', 'repo-meta', identity.pds)
+  );
+  
+  const collections = Array.isArray(data.collections) ? data.collections : [];
+  repoEl.replaceChildren(summary, createElement('h2', null, 'Collections'), renderCollectionList(identity.did, collections));
+}
+
+// Sidebar for an opened CAR file: where it came from and the collections in it
+function loadCarRepo() {
+  const { name, repo } = currentCar;
+  currentRepo = {
+    identifier: repo.did,
+    did: repo.did,
+    identity: { did: repo.did, handle: null, pds: null },
+    describe: null,
+    source: carSource(currentCar)
+  };
+  log('Repository loaded from file:', name);
+  
+  const title = createElement('a', 'repo-title', repo.did);
+  title.href = explorerHash(`at://${repo.did}`);
+  const closeBtn = createElement('button', 'repo-close', 'Close file');
+  closeBtn.type = 'button';
+  closeBtn.addEventListener('click', closeCarFile);
+  
+  const summary = createElement('div', 'repo-summary');
+  summary.append(
+    title,
+    createElement('div', 'repo-meta', `From ${name}`),
+    createElement('div', 'repo-meta', `Revision ${repo.rev || 'unknown'}`),
+    closeBtn
+  );
+  
+  repoEl.replaceChildren(summary, createElement('h2', null, 'Collections'), renderCollectionList(repo.did, repo.collections));
+}
+
+function renderCollectionList(did, collections) {
+  const list = createElement('ul', 'repo-collections');
+  collections.forEach(nsid => {
+    const item = createElement('li');
+    const link = createElement('a', null, nsid);
+    link.href = explorerHash(`at://${did}/${nsid}`);
+    link.dataset.collection = nsid;
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  if (collections.length === 0) {
+    list.appendChild(createElement('li', 'repo-meta', 'No collections'));
+  }
+  return list;
+}
+
+// Mark the collection on show in the sidebar
+function updateActiveCollection(collection) {
+  repoEl.querySelectorAll('[data-collection]').forEach(link => {
+    const active = link.dataset.collection === collection;
+    link.classList.toggle('active', active);
+    if (active) {
+      link.setAttribute('aria-current', 'page');
+    } else {
+      link.removeAttribute('aria-current');
+    }
+  });
+}
+
+// Repo view: the full identity panel and the describeRepo response
+function showRepo() {
+  if (currentRepo.source !== pdsSource) {
+    showCarRepo();
+    return;
+  }
+  const { identity, describe } = currentRepo;
+  
+  const identityPanel = createElement('div', 'atpi-identity');
+  identityPanel.appendChild(createElement('div', 'atpi-overlay-loading', 'Loading identity...'));
+  sendToBackground({ type: 'RESOLVE_IDENTITY', identifier: identity.did })
+    .then(response => identityPanel.replaceChildren(renderIdentityPanel(response.identity)))
+    .catch(error => identityPanel.replaceChildren(createElement('div', 'atpi-overlay-error', error.message)));
+  
+  resultEl.replaceChildren(
+    createElement('h2', null, 'Identity'),
+    identityPanel,
+    createElement('h2', null, 'Repository'),
+    renderJsonView(describe)
+  );
+}
+
+// Repo view for an opened CAR file: what's in it and the signed commit at its root
+function showCarRepo() {
+  const { name, repo } = currentCar;
+  
+  const details = createElement('div', 'atpi-rendered-card result-details');
+  details.append(
+    renderField('File', name),
+    renderField('DID', repo.did),
+    renderField('Revision', repo.rev || 'unknown'),
+    renderField('Commit', repo.commitCid),
+    renderField('Records', String(repo.records.length))
+  );
+  
+  const sections = [createElement('h2', null, 'Repository file'), details];
+  if (repo.missingNodes || repo.missingRecords) {
+    sections.push(createElement('div', 'result-note',
+      `This file is missing ${repo.missingRecords} records and ${repo.missingNodes} tree nodes, so only part of the repo is shown. Incremental exports (with "since") only hold what changed.`));
+  }
+  sections.push(createElement('h2', null, 'Commit'), renderJsonView(repo.commit));
+  resultEl.replaceChildren(...sections);
+}
+
+// Collection view: records page by page, following the listRecords cursor
+async function showCollection(atUri, isCurrent) {
+  const collection = atUri.substring(5).split('/')[1];
+  const context = { uri: atUri, did: currentRepo.did, pds: currentRepo.identity.pds, loadMedia: explorerSettings.loadMedia };
+  const records = [];
+  let cursor = null;
+  let reverse = false;
+  
+  const heading = createElement('h2', null, `${collection} `);
+  const count = createElement('span', 'result-count');
+  heading.appendChild(count);
+  
+  const reverseLabel = createElement('label', 'result-option');
+  const reverseBox = document.createElement('input');
+  reverseBox.type = 'checkbox';
+  reverseLabel.append(reverseBox, ' Oldest first');
+  
+  const list = createElement('div', 'result-records');
+  const moreBtn = createElement('button', null, 'Load more');
+  
+  const loadPage = async () => {
+    moreBtn.disabled = true;
+    moreBtn.textContent = 'Loading...';
+    try {
+      const data = await currentRepo.source.listRecords(atUri, { cursor, limit: PAGE_SIZE, reverse });
+      if (!isCurrent()) return;
+      records.push(...(data.records || []));
+      cursor = data.cursor || null;
+      
+      count.textContent = `(${records.length}${cursor ? '+' : ''} records)`;
+      list.replaceChildren(renderRecordPreview({ records }, context));
+      moreBtn.hidden = !cursor;
+    } finally {
+      moreBtn.disabled = false;
+      moreBtn.textContent = 'Load more';
+    }
+  };
+  
+  moreBtn.addEventListener('click', () => {
+    loadPage().catch(error => setStatus(error.message, true));
+  });
+  reverseBox.addEventListener('change', () => {
+    reverse = reverseBox.checked;
+    records.length = 0;
+    cursor = null;
+    loadPage().catch(error => setStatus(error.message, true));
+  });
+  
+  await loadPage();
+  if (!isCurrent()) return;
+  resultEl.replaceChildren(heading, reverseLabel, list, moreBtn);
+}
+
+// Record view: where the record lives, then the rendered record and its JSON in tabs
+async function showRecord(atUri, isCurrent) {
+  const { data, identity } = await currentRepo.source.getRecord(atUri);
+  if (!isCurrent()) return;
+  
+  const [, collection, rkey] = atUri.substring(5).split('/');
+  const collectionLink = createElement('a', null, collection);
+  collectionLink.href = explorerHash(`at://${identity.did}/${collection}`);
+  
+  const details = createElement('div', 'atpi-rendered-card result-details');
+  details.append(
+    renderField('URI', data.uri || atUri),
+    renderField('Collection', collectionLink),
+    renderField('Record key', rkey)
+  );
+  if (data.cid) {
+    const cid = createElement('span', 'atpi-json-cid', data.cid);
+    cid.dataset.copy = data.cid;
+    cid.title = 'Copy CID';
+    details.appendChild(renderField('CID', cid));
+  }
+  // A record from a file has no PDS to ask for a proof
+  if (currentRepo.source === pdsSource && data.cid && data.value) {
+    details.appendChild(renderRecordVerification(atUri, data));
+  }
+  
+  const context = { uri: atUri, did: identity.did, pds: identity.pds, loadMedia: explorerSettings.loadMedia };
+  const views = [
+    { id: 'rendered', label: 'Rendered', element: renderRecordPreview(data, context) },
+    { id: 'json', label: 'JSON', element: renderJsonView(data) }
+  ].filter(view => view.element);
+  
+  const tabs = createElement('div', 'atpi-overlay-tabs');
+  tabs.setAttribute('role', 'tablist');
+  const body = createElement('div');
+  body.setAttribute('role', 'tabpanel');
+  
+  const show = (view) => {
+    body.replaceChildren(view.element);
+    tabs.querySelectorAll('.atpi-overlay-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === view.id);
+      tab.setAttribute('aria-selected', String(tab.dataset.view === view.id));
+    });
+  };
+  views.forEach(view => {
+    const tab = createElement('button', 'atpi-overlay-tab', view.label);
+    tab.setAttribute('role', 'tab');
+    tab.dataset.view = view.id;
+    tab.addEventListener('click', () => show(view));
+    tabs.appendChild(tab);
+  });
+  tabs.hidden = views.length < 2;
+  show(views[0]);
+  
+  resultEl.replaceChildren(details, tabs, body);
+}
+
+// Open a repo CAR file (from the picker or dropped on the page) and show its repo
+async function openCarFile(file) {
+  setStatus(`Reading ${file.name}...`);
+  try {
+    const repo = readRepoCar(new Uint8Array(await file.arrayBuffer()));
+    currentCar = { name: file.name, repo };
+    currentRepo = null;
+    log('CAR file read:', file.name, repo.records.length, 'records');
+    
+    const hash = explorerHash(`at://${repo.did}`);
+    if (location.hash === hash) {
+      route();
+    } else {
+      location.hash = hash;
+    }
+  } catch (error) {
+    log('Could not read CAR file:', error.message);
+    setStatus(`${file.name}: ${error.message}`, true);
+  }
+}
+
+// Back to resolving the repo live
+function closeCarFile() {
+  currentCar = null;
+  currentRepo = null;
+  route();
+}
+
+document.getElementById('lookup').addEventListener('submit', (e) => {
+  e.preventDefault();
+  const value = queryInput.value.trim();
+  location.hash = explorerHash(findAtUri(value) || value);
+});
+
+// AT URIs and DIDs in records open in the explorer; CIDs and paths copy
+// (Ctrl/Cmd-click still opens the link in a new tab)
+document.addEventListener('click', (e) => {
+  const reference = e.target.closest('[data-at-url]');
+  if (reference && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+    e.preventDefault();
+    location.hash = explorerHash(reference.dataset.atUrl);
+    return;
+  }
+  
+  const copyable = e.target.closest('[data-copy]');
+  if (copyable) {
+    navigator.clipboard.writeText(copyable.dataset.copy).then(() => {
+      copyable.classList.add('copied');
+      setTimeout(() => copyable.classList.remove('copied'), 1000);
+    }).catch(error => {
+      console.error('Failed to copy:', error);
+    });
+  }
+});
+
+const carFileInput = document.getElementById('car-file');
+document.getElementById('open-car').addEventListener('click', () => carFileInput.click());
+carFileInput.addEventListener('change', () => {
+  const [file] = carFileInput.files;
+  carFileInput.value = '';
+  if (file) openCarFile(file);
+});
+
+// Dropping a file anywhere on the page opens it
+const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+document.addEventListener('dragover', (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  document.body.classList.add('dropping');
+});
+document.addEventListener('dragleave', (e) => {
+  if (!e.relatedTarget) document.body.classList.remove('dropping');
+});
+document.addEventListener('drop', (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  document.body.classList.remove('dropping');
+  const [file] = e.dataTransfer.files;
+  if (file) openCarFile(file);
+});
+
+window.addEventListener('hashchange', () => {
+  route();
+  window.scrollTo(0, 0);
+});
+
+route();
+if (!queryInput.value) {
+  queryInput.focus();
+}
@@ -1,21 +1,33 @@
 // AT Protocol resolver for browser environment
 const atpiResolver = (() => {
   const DEFAULT_TIMEOUT = 30000;
-  const DEFAULT_BASE_URL = 'https://atpi.';
+  const DEFAULT_BASE_URL = 'https://atpi.at';
+  const DEFAULT_PAGE_SIZE = 50;
+  const MAX_PAGE_SIZE = 100;
   
-  // Initialize unified handle resolver
   const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  
+  // Shared persistent cache with one layer each for handles, DID documents and records
+  const cache = new global.PersistentCache({
+    ttls: {
+      handle: 5 * 60 * 1000, // 5 minutes
+      did: 5 * 60 * 1000,
+      record: 5 * 60 * 1000
+    },
+    maxEntries: 2000
+  });
+  
+  // Concurrent requests for the same DID document, record or URL share one promise
+  const coalescer = new global.RequestCoalescer();
+  
+  // Initialize unified handle resolver
   const handleResolver = new global.UnifiedHandleResolver({
     dns: { timeout: 3000 },
     wellKnown: { timeout: 3000 },
     xrpc: { timeout: 5000 },
-    cacheTTL: 5 * 60 * 1000 // 5 minutes
+    cache
   });
   
-  // Cache for DID resolutions
-  const didCache = new Map();
-  const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-  
   // Validate AT URL format
   function validateUrl(url) {
     if (!url.startsWith('at://')) {
@@ -61,48 +73,167 @@ const atpiResolver = (() => {
     }
   }
   
-  // Resolve DID to service endpoint
-  async function resolveDid(did, timeout) {
-    // Check cache
-    const cached = didCache.get(did);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      return cached.serviceEndpoint;
+  // Build the did.json URL for a did:web identifier
+  // did:web:example.com          -> https://example.com/.well-known/did.json
+  // did:web:example.com%3A8080   -> https://example.com:8080/.well-known/did.json
+  // did:web:example.com:u:alice  -> https://example.com/u/alice/did.json
+  function didWebToUrl(did) {
+    const segments = did.substring(8).split(':');
+    if (!segments[0]) {
+      throw new Error(`Invalid did:web identifier: ${did}`);
     }
     
-    // For plc DIDs, use plc.directory
+    let host;
+    let path;
+    try {
+      host = decodeURIComponent(segments[0]);
+      path = segments.slice(1).map(segment => decodeURIComponent(segment));
+    } catch (error) {
+      throw new Error(`Invalid did:web identifier: ${did}`);
+    }
+    
+    if (/[\/?#@\s]/.test(host) || path.some(segment => !segment || /[\/?#]/.test(segment))) {
+      throw new Error(`Invalid did:web identifier: ${did}`);
+    }
+    
+    if (path.length === 0) {
+      return `https://${host}/.well-known/did.json`;
+    }
+    return `https://${host}/${path.map(encodeURIComponent).join('/')}/did.json`;
+  }
+  
+  // Fetch the DID document for a did:plc or did:web identifier
+  async function fetchDidDocument(did, timeout) {
+    let documentUrl;
     if (did.startsWith('did:plc:')) {
-      const response = await fetchWithTimeout(
-        `https://plc.directory/${did}`,
-        { timeout }
-      );
-      
-      if (!response.ok) {
-        throw new Error(`DID "${did}" not found or inaccessible`);
+      documentUrl = `https://plc.directory/${did}`;
+    } else if (did.startsWith('did:web:')) {
+      documentUrl = didWebToUrl(did);
+    } else {
+      throw new Error(`Unsupported DID method: ${did}`);
+    }
+    
+    const response = await fetchWithTimeout(documentUrl, {
+      timeout,
+      headers: {
+        'Accept': 'application/did+json, application/json'
       }
-      
-      const data = await response.json();
-      const service = data.service?.find(s => s.type === 'AtprotoPersonalDataServer');
-      
-      if (!service?.serviceEndpoint) {
-        throw new Error(`No AT Protocol server found for this DID`);
+    });
+    
+    if (!response.ok) {
+      throw new Error(`DID "${did}" not found or inaccessible`);
+    }
+    
+    let document;
+    try {
+      document = await response.json();
+    } catch (error) {
+      throw new Error(`Invalid DID document for "${did}"`);
+    }
+    
+    if (!document || document.id !== did) {
+      throw new Error(`DID document does not match "${did}"`);
+    }
+    
+    return document;
+  }
+  
+  // Find the PDS endpoint in a DID document
+  function getPdsEndpoint(document) {
+    const services = Array.isArray(document.service) ? document.service : [];
+    const service = services.find(s =>
+      s.type === 'AtprotoPersonalDataServer' &&
+      (s.id === '#atproto_pds' || s.id === `${document.id}#atproto_pds`)
+    ) || services.find(s => s.type === 'AtprotoPersonalDataServer');
+    
+    if (typeof service?.serviceEndpoint !== 'string' || !/^https?:\/\//.test(service.serviceEndpoint)) {
+      throw new Error(`No AT Protocol server found for this DID`);
+    }
+    
+    return service.serviceEndpoint.replace(/\/+$/, '');
+  }
+  
+  // Get the DID document, using the cache when possible
+  async function getDidDocument(did, timeout) {
+    return coalescer.run(`did:${did}`, async () => {
+      const cached = await cache.get('did', did);
+      if (cached) {
+        return cached;
       }
       
+      const document = await fetchDidDocument(did, timeout);
+      
       // Cache the result
-      didCache.set(did, {
-        serviceEndpoint: service.serviceEndpoint,
-        timestamp: Date.now()
-      });
+      await cache.set('did', did, document);
       
-      return service.serviceEndpoint;
+      return document;
+    });
+  }
+  
+  // Resolve DID to service endpoint
+  async function resolveDid(did, timeout) {
+    const document = await getDidDocument(did, timeout);
+    return getPdsEndpoint(document);
+  }
+  
+  // The #atproto signing key of a DID document (a publicKeyMultibase), or null
+  function getSigningKey(document, did) {
+    const methods = Array.isArray(document.verificationMethod) ? document.verificationMethod : [];
+    const signingMethod = methods.find(m => m.id === '#atproto' || m.id === `${did}#atproto`);
+    return signingMethod?.publicKeyMultibase || null;
+  }
+  
+  // Handles claimed by a DID document (alsoKnownAs at:// entries)
+  function getClaimedHandles(document) {
+    const aliases = Array.isArray(document.alsoKnownAs) ? document.alsoKnownAs : [];
+    return aliases
+      .filter(alias => typeof alias === 'string' && alias.startsWith('at://'))
+      .map(alias => alias.substring(5).toLowerCase());
+  }
+  
+  // Check that handle -> DID and DID -> handle agree
+  // Status is one of: verified, mismatch, unverifiable
+  async function verifyHandle(did, document, handle) {
+    const claimed = getClaimedHandles(document);
+    
+    // Handle was resolved to this DID already, so only the reverse direction is left
+    if (handle) {
+      const normalized = handle.toLowerCase();
+      if (claimed.includes(normalized)) {
+        return { status: 'verified', handle: normalized };
+      }
+      return {
+        status: 'mismatch',
+        handle: normalized,
+        reason: claimed.length > 0
+          ? `DID document claims @${claimed[0]}, not @${normalized}`
+          : 'DID document does not list any handle'
+      };
     }
     
-    // For web DIDs, extract from the DID itself
-    if (did.startsWith('did:web:')) {
-      const domain = did.substring(8).replace(/:/g, '/');
-      return `https://${domain}`;
+    // DID was given directly, so resolve the claimed handle forward
+    const claimedHandle = claimed[0];
+    if (!claimedHandle) {
+      return { status: 'unverifiable', handle: null, reason: 'DID document does not list any handle' };
     }
     
-    throw new Error(`Unsupported DID method: ${did}`);
+    try {
+      const result = await handleResolver.resolve(claimedHandle);
+      if (result.did === did) {
+        return { status: 'verified', handle: claimedHandle };
+      }
+      return {
+        status: 'mismatch',
+        handle: claimedHandle,
+        reason: `@${claimedHandle} resolves to ${result.did}`
+      };
+    } catch (error) {
+      return {
+        status: 'unverifiable',
+        handle: claimedHandle,
+        reason: `Could not resolve @${claimedHandle}`
+      };
+    }
   }
   
   // Fetch with timeout
@@ -128,9 +259,95 @@ const atpiResolver = (() => {
     }
   }
   
+  // Fetch JSON from plc.directory for a did:plc (e.g. /data or /log/audit)
+  async function fetchPlcJson(did, path, timeout) {
+    const response = await fetchWithTimeout(`https://plc.directory/${did}${path}`, { timeout });
+    if (!response.ok) {
+      throw new Error(`PLC directory request failed (HTTP ${response.status})`);
+    }
+    return response.json();
+  }
+  
+  // Resolve everything we know about an identity: DID document, handle,
+  // keys, PDS and (for did:plc) the PLC operation history
+  async function resolveIdentityDetails(identifier, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT } = options;
+    const parsed = parseIdentifier(identifier);
+    
+    const did = parsed.type === 'handle'
+      ? await resolveHandle(parsed.value, timeout)
+      : parsed.value;
+    
+    const document = await getDidDocument(did, timeout);
+    
+    let pds = null;
+    try {
+      pds = getPdsEndpoint(document);
+    } catch (error) {
+      // Identity is still worth showing without a PDS
+    }
+    
+    let rotationKeys = null;
+    let auditLog = null;
+    let plcError = null;
+    const [verification] = await Promise.all([
+      verifyHandle(did, document, parsed.type === 'handle' ? parsed.value : null),
+      did.startsWith('did:plc:')
+        ? Promise.all([
+            fetchPlcJson(did, '/data', timeout),
+            fetchPlcJson(did, '/log/audit', timeout)
+          ]).then(([plcData, log]) => {
+            rotationKeys = plcData.rotationKeys || [];
+            auditLog = Array.isArray(log) ? log : [];
+          }).catch(error => {
+            plcError = error.message;
+          })
+        : null
+    ]);
+    
+    return {
+      did,
+      handle: verification.handle,
+      pds,
+      verification,
+      signingKey: getSigningKey(document, did),
+      rotationKeys,
+      auditLog,
+      plcError,
+      document
+    };
+  }
+  
+  // XRPC query URL for a parsed at:// URL on its PDS
+  // record -> getRecord, collection -> listRecords (paged), repo -> describeRepo
+  function buildXrpcUrl(serviceEndpoint, did, parsed, page = {}) {
+    const { cursor = null, limit = DEFAULT_PAGE_SIZE, reverse = false } = page;
+    let xrpcUrl;
+    if (parsed.collection && parsed.rkey) {
+      // Get specific record
+      xrpcUrl = `${serviceEndpoint}/xrpc/com.atproto.repo.getRecord?repo=${did}&collection=${parsed.collection}&rkey=${parsed.rkey}`;
+    } else if (parsed.collection) {
+      // List records in collection
+      const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+      xrpcUrl = `${serviceEndpoint}/xrpc/com.atproto.repo.listRecords?repo=${did}&collection=${parsed.collection}&limit=${pageSize}`;
+      if (cursor) {
+        xrpcUrl += `&cursor=${encodeURIComponent(cursor)}`;
+      }
+      if (reverse) {
+        xrpcUrl += '&reverse=true';
+      }
+    } else {
+      // Get repo info
+      xrpcUrl = `${serviceEndpoint}/xrpc/com.atproto.repo.describeRepo?repo=${did}`;
+    }
+    
+    return xrpcUrl;
+  }
+  
   // Local resolution
+  // For collection URLs, options.cursor / options.limit / options.reverse page through listRecords
   async function resolveLocal(url, options = {}) {
-    const { timeout = DEFAULT_TIMEOUT } = options;
+    const { timeout = DEFAULT_TIMEOUT, cursor = null, limit = DEFAULT_PAGE_SIZE, reverse = false } = options;
     const startTime = Date.now();
     
     const parsed = validateUrl(url);
@@ -149,25 +366,62 @@ const atpiResolver = (() => {
     
     // Resolve DID to service endpoint
     const didStartTime = Date.now();
-    const serviceEndpoint = await resolveDid(did, timeout);
+    const document = await getDidDocument(did, timeout);
+    const serviceEndpoint = getPdsEndpoint(document);
     if (typeof console !== 'undefined' && console.log) {
       console.log(`[ATPI Resolver] DID->Endpoint took ${Date.now() - didStartTime}ms`);
     }
     
+    // Verify the handle in both directions alongside the record fetch
+    const verificationPromise = verifyHandle(
+      did,
+      document,
+      identifier.type === 'handle' ? identifier.value : null
+    );
+    
     // Build XRPC URL
-    let xrpcUrl;
-    if (parsed.collection && parsed.rkey) {
-      // Get specific record
-      xrpcUrl = `${serviceEndpoint}/xrpc/com.atproto.repo.getRecord?repo=${did}&collection=${parsed.collection}&rkey=${parsed.rkey}`;
-    } else if (parsed.collection) {
-      // List records in collection
-      xrpcUrl = `${serviceEndpoint}/xrpc/com.atproto.repo.listRecords?repo=${did}&collection=${parsed.collection}&limit=50`;
-    } else {
-      // Get repo info
-      xrpcUrl = `${serviceEndpoint}/xrpc/com.atproto.repo.describeRepo?repo=${did}`;
-    }
+    const xrpcUrl = buildXrpcUrl(serviceEndpoint, did, parsed, { cursor, limit, reverse });
+    
+    // Fetch data (handle and DID forms of the same record share one request)
+    const data = await coalescer.run(`xrpc:${xrpcUrl}`, () => fetchXrpcJson(xrpcUrl, timeout));
+    const verification = await verificationPromise;
+    
+    return {
+      data,
+      identity: {
+        did,
+        handle: verification.handle,
+        pds: serviceEndpoint,
+        verification
+      }
+    };
+  }
+  
+  // DID, PDS, signing key and XRPC URL of an at:// URL without fetching the record
+  // (the context menu's "Copy DID" and "Open raw XRPC URL", and record verification)
+  async function resolveXrpcUrl(url, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT } = options;
+    const parsed = validateUrl(url);
+    const identifier = parseIdentifier(parsed.identifier);
+    
+    const did = identifier.type === 'handle'
+      ? await resolveHandle(identifier.value, timeout)
+      : identifier.value;
+    const document = await getDidDocument(did, timeout);
+    const pds = getPdsEndpoint(document);
     
-    // Fetch data
+    return {
+      did,
+      pds,
+      signingKey: getSigningKey(document, did),
+      collection: parsed.collection,
+      rkey: parsed.rkey,
+      xrpcUrl: buildXrpcUrl(pds, did, parsed)
+    };
+  }
+  
+  // Fetch an XRPC query from a PDS and parse the JSON body
+  async function fetchXrpcJson(xrpcUrl, timeout) {
     const fetchStartTime = Date.now();
     const response = await fetchWithTimeout(xrpcUrl, { timeout });
     if (typeof console !== 'undefined' && console.log) {
@@ -192,12 +446,18 @@ const atpiResolver = (() => {
     return response.json();
   }
   
+  // URL of an at:// URL on an atpi-compatible service
+  // e.g. at://did:plc:xyz/app.bsky.feed.post/abc -> https://atpi.at//did:plc:xyz/app.bsky.feed.post/abc
+  function buildRemoteUrl(url, baseUrl = DEFAULT_BASE_URL) {
+    const base = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    return `${base}//${url.replace(/^at:\/\//, '')}`;
+  }
+  
   // Remote resolution
   async function resolveRemote(url, options = {}) {
     const { timeout = DEFAULT_TIMEOUT, baseUrl = DEFAULT_BASE_URL } = options;
     
-    // Transform at:// to https://atpi.at://
-    const transformedUrl = url.replace(/^at:\/\//, baseUrl + 'at://');
+    const transformedUrl = buildRemoteUrl(url, baseUrl);
     
     const response = await fetchWithTimeout(transformedUrl, {
       timeout,
@@ -221,38 +481,89 @@ const atpiResolver = (() => {
       }
     }
     
-    return response.json();
+    return { data: await response.json(), identity: null };
   }
   
-  // Main resolver function
-  async function resolve(url, options = {}) {
+  // Resolve with the selected mode, bypassing the record cache
+  // source says which path produced the data; fallbackReason why local failed in auto mode
+  async function resolveByMode(url, options = {}) {
     const { mode = 'local' } = options;
     
     if (mode === 'remote') {
-      return resolveRemote(url, options);
+      return { ...(await resolveRemote(url, options)), source: 'remote', fallbackReason: null };
     } else if (mode === 'local') {
       // In local mode, never fall back to remote
-      return resolveLocal(url, options);
-    } else {
-      // Auto mode: try local first, fallback to remote
+      return { ...(await resolveLocal(url, options)), source: 'local', fallbackReason: null };
+    }
+    
+    // Auto mode: try local first, fallback to remote
+    try {
+      return { ...(await resolveLocal(url, options)), source: 'local', fallbackReason: null };
+    } catch (localError) {
       try {
-        return await resolveLocal(url, options);
-      } catch (error) {
-        return resolveRemote(url, options);
+        return { ...(await resolveRemote(url, options)), source: 'remote', fallbackReason: localError.message };
+      } catch (remoteError) {
+        throw new Error(`Local: ${localError.message} / Remote: ${remoteError.message}`);
+      }
+    }
+  }
+  
+  // Main resolver function
+  // Resolves to { data, identity, source, fallbackReason, cached }
+  // identity is only known when the data came from local resolution
+  async function resolve(url, options = {}) {
+    const { mode = 'local', cursor, limit, reverse, baseUrl = DEFAULT_BASE_URL } = options;
+    
+    // Only the default first page of a URL is cached
+    // Remote results are keyed by service too, so switching services skips stale entries
+    const cacheable = !cursor && !limit && !reverse;
+    const cacheKey = mode === 'local' ? `${mode}|${url}` : `${mode}|${baseUrl}|${url}`;
+    
+    return coalescer.run(`resolve:${cacheKey}|${cursor || ''}|${limit || ''}|${reverse ? 1 : 0}`, async () => {
+      if (cacheable) {
+        const cached = await cache.get('record', cacheKey);
+        if (cached) {
+          return { ...cached, cached: true };
+        }
       }
+      
+      const result = await resolveByMode(url, options);
+      
+      if (cacheable) {
+        await cache.set('record', cacheKey, result);
+      }
+      
+      return { ...result, cached: false };
+    });
+  }
+  
+  // Apply settings that can change at runtime
+  // handleTimeouts: { dns, wellKnown, xrpc } in ms; cacheTtls: { handle, did, record } in ms
+  function configure(options = {}) {
+    const { handleTimeouts, cacheTtls, maxEntries } = options;
+    if (handleTimeouts) {
+      handleResolver.configure(handleTimeouts);
+    }
+    if (cacheTtls || maxEntries) {
+      cache.configure({ ttls: cacheTtls, maxEntries });
     }
   }
   
   // Clear caches
-  function clearCaches() {
-    didCache.clear();
+  async function clearCaches() {
+    await cache.clear();
     if (handleResolver && handleResolver.clearCache) {
-      handleResolver.clearCache();
+      await handleResolver.clearCache();
     }
   }
   
   return {
     resolve,
+    resolveDid,
+    resolveIdentityDetails,
+    resolveXrpcUrl,
+    buildRemoteUrl,
+    configure,
     clearCaches
   };
 })();
\ No newline at end of file
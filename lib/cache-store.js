@@ -0,0 +1,217 @@
+/**
+ * Persistent cache for the service worker, backed by IndexedDB
+ * Entries live in named layers (handle, did, record) with a TTL per layer.
+ * The total number of entries is capped; the least recently used go first.
+ * Falls back to an in-memory Map where IndexedDB is unavailable.
+ */
+
+const CACHE_DB_NAME = 'atpi-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'entries';
+// Minimum age before a read refreshes an entry's accessedAt
+const CACHE_TOUCH_INTERVAL = 60 * 1000;
+
+class PersistentCache {
+  constructor(options = {}) {
+    this.ttls = { ...(options.ttls || {}) };
+    this.defaultTTL = options.defaultTTL || 5 * 60 * 1000; // 5 minutes default
+    this.maxEntries = options.maxEntries || 2000;
+    this.dbPromise = null;
+    this.memory = new Map(); // Used when IndexedDB is unavailable
+  }
+  
+  // Update TTLs (per layer) and the entry limit
+  configure({ ttls, maxEntries } = {}) {
+    if (ttls) {
+      Object.assign(this.ttls, ttls);
+    }
+    if (maxEntries) {
+      this.maxEntries = maxEntries;
+    }
+  }
+  
+  getTTL(layer) {
+    return this.ttls[layer] || this.defaultTTL;
+  }
+  
+  openDb() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(null);
+    }
+    
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'id' });
+          store.createIndex('layer', 'layer');
+          store.createIndex('accessedAt', 'accessedAt');
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('[ATPI Cache] IndexedDB unavailable, using memory cache:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    
+    return this.dbPromise;
+  }
+  
+  // Run a request against the entries store and resolve with its result
+  async withStore(mode, run) {
+    const db = await this.openDb();
+    if (!db) return undefined;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(CACHE_STORE, mode);
+      const store = transaction.objectStore(CACHE_STORE);
+      let result;
+      
+      const request = run(store);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+      
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+  
+  async get(layer, key) {
+    const id = `${layer}:${key}`;
+    
+    try {
+      const db = await this.openDb();
+      const entry = db
+        ? await this.withStore('readonly', store => store.get(id))
+        : this.memory.get(id);
+      
+      if (!entry) return null;
+      
+      const now = Date.now();
+      if (now - entry.storedAt > this.getTTL(layer)) {
+        await this.delete(layer, key);
+        return null;
+      }
+      
+      // Touch the entry for LRU eviction; reads don't wait on the write,
+      // and recently touched entries aren't written again
+      if (now - entry.accessedAt > CACHE_TOUCH_INTERVAL) {
+        entry.accessedAt = now;
+        if (db) {
+          this.withStore('readwrite', store => store.put(entry))
+            .catch(error => console.warn('[ATPI Cache] Touch failed:', error));
+        }
+      }
+      
+      return entry.value;
+    } catch (error) {
+      console.warn('[ATPI Cache] Read failed:', error);
+      return null;
+    }
+  }
+  
+  async set(layer, key, value) {
+    const now = Date.now();
+    const entry = {
+      id: `${layer}:${key}`,
+      layer,
+      key,
+      value,
+      storedAt: now,
+      accessedAt: now
+    };
+    
+    try {
+      const db = await this.openDb();
+      if (db) {
+        await this.withStore('readwrite', store => store.put(entry));
+      } else {
+        this.memory.set(entry.id, entry);
+      }
+      await this.evict();
+    } catch (error) {
+      console.warn('[ATPI Cache] Write failed:', error);
+    }
+  }
+  
+  async delete(layer, key) {
+    const id = `${layer}:${key}`;
+    const db = await this.openDb();
+    if (db) {
+      await this.withStore('readwrite', store => store.delete(id));
+    } else {
+      this.memory.delete(id);
+    }
+  }
+  
+  // Clear one layer, or everything when no layer is given
+  async clear(layer = null) {
+    const db = await this.openDb();
+    
+    if (!db) {
+      for (const [id, entry] of this.memory) {
+        if (!layer || entry.layer === layer) this.memory.delete(id);
+      }
+      return;
+    }
+    
+    if (!layer) {
+      await this.withStore('readwrite', store => store.clear());
+      return;
+    }
+    
+    await this.withStore('readwrite', store => {
+      const request = store.index('layer').openCursor(IDBKeyRange.only(layer));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+  }
+  
+  // Drop least recently used entries above the size limit
+  async evict() {
+    const db = await this.openDb();
+    
+    if (!db) {
+      if (this.memory.size <= this.maxEntries) return;
+      const entries = Array.from(this.memory.values()).sort((a, b) => a.accessedAt - b.accessedAt);
+      entries.slice(0, this.memory.size - this.maxEntries).forEach(entry => this.memory.delete(entry.id));
+      return;
+    }
+    
+    const count = await this.withStore('readonly', store => store.count());
+    let excess = count - this.maxEntries;
+    if (excess <= 0) return;
+    
+    await this.withStore('readwrite', store => {
+      const request = store.index('accessedAt').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && excess > 0) {
+          cursor.delete();
+          excess--;
+          cursor.continue();
+        }
+      };
+    });
+  }
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PersistentCache;
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.PersistentCache = PersistentCache;
+}
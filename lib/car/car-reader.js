@@ -0,0 +1,58 @@
+/**
+ * CAR v1 reader
+ * A CAR file is a varint-prefixed DAG-CBOR header ({ version: 1, roots: [cid] })
+ * followed by blocks, each a varint length then the block's CID and bytes.
+ * Block bytes are views into the original buffer, so reading copies nothing.
+ */
+
+// Returns { roots: [Cid], blocks: Map<cid string, Uint8Array> }
+function readCar(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    bytes = new Uint8Array(bytes);
+  }
+  
+  let header;
+  let headerEnd;
+  try {
+    const [headerLength, headerVarint] = readVarint(bytes, 0);
+    headerEnd = headerVarint + headerLength;
+    if (headerLength === 0 || headerEnd > bytes.length) {
+      throw new Error('header is missing or truncated');
+    }
+    header = decodeDagCbor(bytes.subarray(headerVarint, headerEnd));
+  } catch (error) {
+    throw new Error(`Not a CAR file: ${error.message}`);
+  }
+  if (!header || typeof header !== 'object' || !('version' in header)) {
+    throw new Error('Not a CAR file: the header is not a CAR header');
+  }
+  if (header.version !== 1) {
+    throw new Error(`Unsupported CAR version ${header.version}`);
+  }
+  const roots = Array.isArray(header.roots) ? header.roots.filter(root => root instanceof Cid) : [];
+  
+  const blocks = new Map();
+  let offset = headerEnd;
+  while (offset < bytes.length) {
+    const [blockLength, lengthVarint] = readVarint(bytes, offset);
+    const start = offset + lengthVarint;
+    const end = start + blockLength;
+    if (end > bytes.length) {
+      throw new Error('CAR file is truncated');
+    }
+    
+    const { cid, length: cidLength } = Cid.read(bytes.subarray(start, end));
+    blocks.set(cid.toString(), bytes.subarray(start + cidLength, end));
+    offset = end;
+  }
+  
+  return { roots, blocks };
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { readCar };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.readCar = readCar;
+}
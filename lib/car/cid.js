@@ -0,0 +1,233 @@
+/**
+ * CIDs (content identifiers) for the CAR reader
+ * Parses binary CIDs (v0 and v1) and prints them the way atproto does:
+ * base32 lower case with a "b" prefix for v1, base58btc for v0.
+ * createCid() hashes block bytes (sha2-256, via WebCrypto) into the CID that names them.
+ */
+
+const CID_CODEC_RAW = 0x55;
+const CID_CODEC_DAG_CBOR = 0x71;
+const CID_HASH_SHA256 = 0x12;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Read an unsigned LEB128 varint
+// Returns [value, bytesRead]; values above 2^53 are rejected rather than rounded
+function readVarint(bytes, offset = 0) {
+  let value = 0;
+  let multiplier = 1;
+  for (let i = offset; i < bytes.length; i++) {
+    const byte = bytes[i];
+    value += (byte & 0x7f) * multiplier;
+    if (value > Number.MAX_SAFE_INTEGER) {
+      throw new Error('Varint too large');
+    }
+    if ((byte & 0x80) === 0) {
+      return [value, i - offset + 1];
+    }
+    multiplier *= 128;
+  }
+  throw new Error('Unexpected end of data in varint');
+}
+
+function encodeBase32(bytes) {
+  let output = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function decodeBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    buffer = ((buffer << 5) | value) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+function encodeBase58(bytes) {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  let output = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    output += '1';
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    output += BASE58_ALPHABET[digits[i]];
+  }
+  return output;
+}
+
+function decodeBase58(text) {
+  const bytes = [0];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry === -1) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '1') zeros++;
+  while (bytes.length > 1 && bytes[bytes.length - 1] === 0) bytes.pop();
+  const value = text.length > zeros ? bytes.reverse() : [];
+  return Uint8Array.from([...new Array(zeros).fill(0), ...value]);
+}
+
+class Cid {
+  // bytes: the binary CID (without the 0x00 multibase prefix used inside DAG-CBOR)
+  constructor(bytes) {
+    this.bytes = bytes;
+    
+    // v0 is a bare sha2-256 multihash
+    if (bytes.length === 34 && bytes[0] === CID_HASH_SHA256 && bytes[1] === 0x20) {
+      this.version = 0;
+      this.codec = 0x70; // dag-pb
+      this.hashCode = CID_HASH_SHA256;
+      this.digest = bytes.subarray(2);
+      return;
+    }
+    
+    let offset = 0;
+    const read = () => {
+      const [value, length] = readVarint(bytes, offset);
+      offset += length;
+      return value;
+    };
+    this.version = read();
+    if (this.version !== 1) {
+      throw new Error(`Unsupported CID version ${this.version}`);
+    }
+    this.codec = read();
+    this.hashCode = read();
+    const digestLength = read();
+    if (offset + digestLength !== bytes.length) {
+      throw new Error('CID digest length does not match');
+    }
+    this.digest = bytes.subarray(offset);
+  }
+  
+  // Read a CID at the start of a CAR block; returns { cid, length }
+  static read(bytes, offset = 0) {
+    if (bytes[offset] === CID_HASH_SHA256 && bytes[offset + 1] === 0x20) {
+      return { cid: new Cid(bytes.subarray(offset, offset + 34)), length: 34 };
+    }
+    
+    let end = offset;
+    for (let field = 0; field < 3; field++) {
+      end += readVarint(bytes, end)[1];
+    }
+    const [digestLength, length] = readVarint(bytes, end);
+    end += length + digestLength;
+    if (end > bytes.length) {
+      throw new Error('Unexpected end of data in CID');
+    }
+    return { cid: new Cid(bytes.subarray(offset, end)), length: end - offset };
+  }
+  
+  // Parse the string form (as in { "$link": ... } or a record's cid)
+  static parse(text) {
+    if (typeof text !== 'string' || text.length < 2) {
+      throw new Error('Invalid CID');
+    }
+    if (text.startsWith('Qm')) {
+      return new Cid(decodeBase58(text));
+    }
+    if (text[0] !== 'b') {
+      throw new Error(`Unsupported CID encoding "${text[0]}"`);
+    }
+    return new Cid(decodeBase32(text.substring(1)));
+  }
+  
+  toString() {
+    if (this._string === undefined) {
+      this._string = this.version === 0 ? encodeBase58(this.bytes) : `b${encodeBase32(this.bytes)}`;
+    }
+    return this._string;
+  }
+  
+  equals(other) {
+    return other instanceof Cid && other.toString() === this.toString();
+  }
+}
+
+// CIDv1 of a block: sha2-256 of its bytes, tagged with the block's codec
+async function createCid(codec, bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  const prefix = [];
+  for (let value = codec; ; value = Math.floor(value / 128)) {
+    prefix.push(value >= 128 ? (value & 0x7f) | 0x80 : value);
+    if (value < 128) break;
+  }
+  return new Cid(Uint8Array.from([1, ...prefix, CID_HASH_SHA256, digest.length, ...digest]));
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Cid,
+    createCid,
+    readVarint,
+    encodeBase32,
+    decodeBase32,
+    encodeBase58,
+    decodeBase58,
+    CID_CODEC_RAW,
+    CID_CODEC_DAG_CBOR,
+    CID_HASH_SHA256
+  };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.Cid = Cid;
+  global.createCid = createCid;
+  global.readVarint = readVarint;
+  global.encodeBase32 = encodeBase32;
+  global.decodeBase32 = decodeBase32;
+  global.encodeBase58 = encodeBase58;
+  global.decodeBase58 = decodeBase58;
+  global.CID_CODEC_RAW = CID_CODEC_RAW;
+  global.CID_CODEC_DAG_CBOR = CID_CODEC_DAG_CBOR;
+  global.CID_HASH_SHA256 = CID_HASH_SHA256;
+}
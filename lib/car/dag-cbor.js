@@ -0,0 +1,326 @@
+/**
+ * DAG-CBOR decoder
+ * Decodes the CBOR subset atproto stores in repos: definite lengths, string map keys,
+ * tag 42 for CID links. Links come out as Cid objects and byte strings as Uint8Array;
+ * dagCborToJson() turns a decoded value into the JSON form the viewers already show
+ * ({ "$link": cid } and { "$bytes": base64 }).
+ *
+ * encodeDagCbor() writes the canonical encoding back (shortest lengths, map keys sorted
+ * by length then bytes), so a value can be hashed and signed exactly as the PDS did.
+ */
+
+// Deeper nesting than this is not a real record and would only exhaust the stack
+const DAG_CBOR_MAX_DEPTH = 256;
+const CBOR_TAG_CID = 42;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+const utf8Encoder = new TextEncoder();
+
+// Decode a whole DAG-CBOR block; trailing bytes are an error
+function decodeDagCbor(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  
+  const need = (length) => {
+    if (offset + length > bytes.length) {
+      throw new Error('Unexpected end of DAG-CBOR data');
+    }
+  };
+  
+  // Argument of a major type: the value itself for ints, a length for strings, arrays and maps
+  const readArgument = (info) => {
+    if (info < 24) return info;
+    switch (info) {
+      case 24:
+        need(1);
+        return bytes[offset++];
+      case 25:
+        need(2);
+        offset += 2;
+        return view.getUint16(offset - 2);
+      case 26:
+        need(4);
+        offset += 4;
+        return view.getUint32(offset - 4);
+      case 27: {
+        need(8);
+        offset += 8;
+        const value = view.getBigUint64(offset - 8);
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+      }
+      default:
+        throw new Error(info === 31 ? 'Indefinite lengths are not allowed in DAG-CBOR' : `Invalid CBOR additional info ${info}`);
+    }
+  };
+  
+  const readLength = (info) => {
+    const length = readArgument(info);
+    if (typeof length !== 'number') {
+      throw new Error('DAG-CBOR length too large');
+    }
+    return length;
+  };
+  
+  const readItem = (depth) => {
+    if (depth > DAG_CBOR_MAX_DEPTH) {
+      throw new Error('DAG-CBOR nested too deeply');
+    }
+    need(1);
+    const initial = bytes[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+    
+    switch (major) {
+      case 0:
+        return readArgument(info);
+      case 1: {
+        const value = readArgument(info);
+        return typeof value === 'bigint' ? -1n - value : -1 - value;
+      }
+      case 2: {
+        const length = readLength(info);
+        need(length);
+        offset += length;
+        return bytes.slice(offset - length, offset);
+      }
+      case 3: {
+        const length = readLength(info);
+        need(length);
+        offset += length;
+        return utf8Decoder.decode(bytes.subarray(offset - length, offset));
+      }
+      case 4: {
+        const length = readLength(info);
+        const array = [];
+        for (let i = 0; i < length; i++) {
+          array.push(readItem(depth + 1));
+        }
+        return array;
+      }
+      case 5: {
+        const length = readLength(info);
+        const map = {};
+        for (let i = 0; i < length; i++) {
+          const key = readItem(depth + 1);
+          if (typeof key !== 'string') {
+            throw new Error('DAG-CBOR map keys must be strings');
+          }
+          // defineProperty so a "__proto__" key stays an ordinary field
+          Object.defineProperty(map, key, { value: readItem(depth + 1), enumerable: true, writable: true, configurable: true });
+        }
+        return map;
+      }
+      case 6: {
+        const tag = readArgument(info);
+        if (tag !== CBOR_TAG_CID) {
+          throw new Error(`Unsupported CBOR tag ${tag}`);
+        }
+        const value = readItem(depth + 1);
+        // CIDs are byte strings with a leading 0x00 (the identity multibase prefix)
+        if (!(value instanceof Uint8Array) || value[0] !== 0) {
+          throw new Error('Invalid CID link in DAG-CBOR');
+        }
+        return new Cid(value.subarray(1));
+      }
+      case 7:
+        switch (info) {
+          case 20: return false;
+          case 21: return true;
+          case 22: return null;
+          case 26:
+            need(4);
+            offset += 4;
+            return view.getFloat32(offset - 4);
+          case 27:
+            need(8);
+            offset += 8;
+            return view.getFloat64(offset - 8);
+          default:
+            throw new Error(`Unsupported CBOR simple value ${info}`);
+        }
+    }
+  };
+  
+  const value = readItem(0);
+  if (offset !== bytes.length) {
+    throw new Error('Unexpected data after DAG-CBOR value');
+  }
+  return value;
+}
+
+// Encode a value in decoded form (Cid links, Uint8Array bytes) as canonical DAG-CBOR
+function encodeDagCbor(value) {
+  const chunks = [];
+  let length = 0;
+  
+  const push = (bytes) => {
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  
+  const writeHead = (major, argument) => {
+    const type = major << 5;
+    if (argument < 24) {
+      push(Uint8Array.of(type | Number(argument)));
+    } else if (argument < 0x100) {
+      push(Uint8Array.of(type | 24, Number(argument)));
+    } else if (argument < 0x10000) {
+      push(Uint8Array.of(type | 25, Number(argument) >> 8, Number(argument) & 0xff));
+    } else if (argument < 0x100000000) {
+      const bytes = new Uint8Array(5);
+      bytes[0] = type | 26;
+      new DataView(bytes.buffer).setUint32(1, Number(argument));
+      push(bytes);
+    } else {
+      const bytes = new Uint8Array(9);
+      bytes[0] = type | 27;
+      new DataView(bytes.buffer).setBigUint64(1, BigInt(argument));
+      push(bytes);
+    }
+  };
+  
+  const writeItem = (item, depth) => {
+    if (depth > DAG_CBOR_MAX_DEPTH) {
+      throw new Error('DAG-CBOR nested too deeply');
+    }
+    if (item === null) {
+      push(Uint8Array.of(0xf6));
+    } else if (typeof item === 'boolean') {
+      push(Uint8Array.of(item ? 0xf5 : 0xf4));
+    } else if (typeof item === 'bigint') {
+      writeHead(item < 0n ? 1 : 0, item < 0n ? -1n - item : item);
+    } else if (typeof item === 'number') {
+      if (Number.isSafeInteger(item)) {
+        writeHead(item < 0 ? 1 : 0, item < 0 ? -1 - item : item);
+      } else if (Number.isFinite(item)) {
+        const bytes = new Uint8Array(9);
+        bytes[0] = 0xfb;
+        new DataView(bytes.buffer).setFloat64(1, item);
+        push(bytes);
+      } else {
+        throw new Error('DAG-CBOR cannot encode NaN or Infinity');
+      }
+    } else if (typeof item === 'string') {
+      const bytes = utf8Encoder.encode(item);
+      writeHead(3, bytes.length);
+      push(bytes);
+    } else if (item instanceof Cid) {
+      writeHead(6, CBOR_TAG_CID);
+      writeHead(2, item.bytes.length + 1);
+      push(Uint8Array.of(0));
+      push(item.bytes);
+    } else if (item instanceof Uint8Array) {
+      writeHead(2, item.length);
+      push(item);
+    } else if (Array.isArray(item)) {
+      writeHead(4, item.length);
+      item.forEach(element => writeItem(element, depth + 1));
+    } else if (typeof item === 'object') {
+      const entries = Object.keys(item)
+        .filter(key => item[key] !== undefined)
+        .map(key => [utf8Encoder.encode(key), item[key]])
+        .sort(([a], [b]) => compareMapKeys(a, b));
+      writeHead(5, entries.length);
+      entries.forEach(([key, element]) => {
+        writeHead(3, key.length);
+        push(key);
+        writeItem(element, depth + 1);
+      });
+    } else {
+      throw new Error(`DAG-CBOR cannot encode ${typeof item}`);
+    }
+  };
+  
+  writeItem(value, 0);
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+// Canonical map key order: shorter keys first, then bytewise
+function compareMapKeys(a, b) {
+  if (a.length !== b.length) {
+    return a.length - b.length;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  // atproto's JSON form drops the padding
+  return btoa(binary).replace(/=+$/, '');
+}
+
+// Decoded DAG-CBOR -> atproto JSON, as getRecord would return it
+function dagCborToJson(value) {
+  if (value instanceof Cid) {
+    return { $link: value.toString() };
+  }
+  if (value instanceof Uint8Array) {
+    return { $bytes: bytesToBase64(value) };
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(dagCborToJson);
+  }
+  if (value && typeof value === 'object') {
+    const json = {};
+    for (const [key, item] of Object.entries(value)) {
+      Object.defineProperty(json, key, { value: dagCborToJson(item), enumerable: true, writable: true, configurable: true });
+    }
+    return json;
+  }
+  return value;
+}
+
+function base64ToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// atproto JSON -> decoded DAG-CBOR form, the reverse of dagCborToJson()
+function jsonToDagCbor(value) {
+  if (Array.isArray(value)) {
+    return value.map(jsonToDagCbor);
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && typeof value.$link === 'string') {
+      return Cid.parse(value.$link);
+    }
+    if (keys.length === 1 && typeof value.$bytes === 'string') {
+      return base64ToBytes(value.$bytes);
+    }
+    const map = {};
+    for (const key of keys) {
+      Object.defineProperty(map, key, { value: jsonToDagCbor(value[key]), enumerable: true, writable: true, configurable: true });
+    }
+    return map;
+  }
+  return value;
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { decodeDagCbor, encodeDagCbor, dagCborToJson, jsonToDagCbor, bytesToBase64 };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.decodeDagCbor = decodeDagCbor;
+  global.encodeDagCbor = encodeDagCbor;
+  global.dagCborToJson = dagCborToJson;
+  global.jsonToDagCbor = jsonToDagCbor;
+  global.bytesToBase64 = bytesToBase64;
+}
@@ -0,0 +1,67 @@
+/**
+ * Merkle Search Tree walker
+ * Repo records are the leaves of an MST: each node is { l: left subtree, e: entries },
+ * and each entry { p, k, v, t } holds a key (sharing p bytes with the previous key, k is the rest),
+ * the record CID and the subtree to the right of it. Keys are "collection/rkey".
+ */
+
+// Real trees are only a handful of levels deep
+const MST_MAX_DEPTH = 128;
+
+const utf8KeyDecoder = new TextDecoder('utf-8', { fatal: true });
+
+// Walk the tree in key order
+// Returns { entries: [{ key, cid }], missingNodes } - nodes can be missing from partial CARs
+function walkMst(blocks, rootCid) {
+  const entries = [];
+  let missingNodes = 0;
+  const visited = new Set();
+  
+  const visit = (cid, depth) => {
+    if (!cid) return;
+    const id = cid.toString();
+    // A well-formed tree never repeats a node; a crafted one could loop
+    if (visited.has(id) || depth > MST_MAX_DEPTH) {
+      throw new Error('Repo tree is malformed');
+    }
+    visited.add(id);
+    
+    const block = blocks.get(id);
+    if (!block) {
+      missingNodes++;
+      return;
+    }
+    
+    const node = decodeDagCbor(block);
+    if (!node || !Array.isArray(node.e)) {
+      throw new Error(`Repo tree node ${id} is malformed`);
+    }
+    
+    visit(node.l, depth + 1);
+    let previousKey = new Uint8Array(0);
+    for (const entry of node.e) {
+      if (!(entry.k instanceof Uint8Array) || !(entry.v instanceof Cid) ||
+          !Number.isInteger(entry.p) || entry.p < 0 || entry.p > previousKey.length) {
+        throw new Error(`Repo tree node ${id} has a malformed entry`);
+      }
+      const keyBytes = new Uint8Array(entry.p + entry.k.length);
+      keyBytes.set(previousKey.subarray(0, entry.p));
+      keyBytes.set(entry.k, entry.p);
+      previousKey = keyBytes;
+      
+      entries.push({ key: utf8KeyDecoder.decode(keyBytes), cid: entry.v });
+      visit(entry.t, depth + 1);
+    }
+  };
+  
+  visit(rootCid, 0);
+  return { entries, missingNodes };
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { walkMst };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.walkMst = walkMst;
+}
@@ -0,0 +1,75 @@
+/**
+ * Repo CAR files
+ * Reads a repo exported by com.atproto.sync.getRepo: the root block is the signed commit,
+ * whose data field points at the MST of records. Needs cid.js, dag-cbor.js, car-reader.js and mst.js.
+ *
+ * Incremental exports (getRepo with since) only carry the blocks written after that revision,
+ * so parts of the tree and older records are missing; they are counted rather than treated as errors.
+ */
+
+// Returns {
+//   did, rev, version, commitCid, commit (JSON),
+//   collections: [nsid], records: [{ uri, collection, rkey, cid, value }],
+//   missingNodes, missingRecords
+// }
+function readRepoCar(bytes) {
+  const { roots, blocks } = readCar(bytes);
+  if (roots.length === 0) {
+    throw new Error('CAR file has no root');
+  }
+  
+  const commitCid = roots[0];
+  const commitBlock = blocks.get(commitCid.toString());
+  if (!commitBlock) {
+    throw new Error('CAR file does not contain its root commit');
+  }
+  const commit = decodeDagCbor(commitBlock);
+  if (!commit || typeof commit.did !== 'string' || !(commit.data instanceof Cid)) {
+    throw new Error('Not a repo CAR file: the root is not a repo commit');
+  }
+  
+  const { entries, missingNodes } = walkMst(blocks, commit.data);
+  
+  const records = [];
+  const collections = new Set();
+  let missingRecords = 0;
+  for (const { key, cid } of entries) {
+    const slash = key.indexOf('/');
+    const collection = key.substring(0, slash);
+    const rkey = key.substring(slash + 1);
+    const block = blocks.get(cid.toString());
+    if (slash <= 0 || !block) {
+      missingRecords++;
+      continue;
+    }
+    
+    collections.add(collection);
+    records.push({
+      uri: `at://${commit.did}/${key}`,
+      collection,
+      rkey,
+      cid: cid.toString(),
+      value: dagCborToJson(decodeDagCbor(block))
+    });
+  }
+  
+  return {
+    did: commit.did,
+    rev: typeof commit.rev === 'string' ? commit.rev : null,
+    version: commit.version,
+    commitCid: commitCid.toString(),
+    commit: dagCborToJson(commit),
+    collections: [...collections].sort(),
+    records,
+    missingNodes,
+    missingRecords
+  };
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { readRepoCar };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.readRepoCar = readRepoCar;
+}
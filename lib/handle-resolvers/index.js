@@ -14,13 +14,29 @@ class UnifiedHandleResolver {
     this.xrpcResolver = new global.XrpcHandleResolver(options.xrpc || {});
     
     // Cache configuration
+    // options.cache is a shared PersistentCache; without one, keep an in-memory Map
+    this.store = options.cache || null;
     this.cache = new Map();
     this.cacheTTL = options.cacheTTL || 5 * 60 * 1000; // 5 minutes default
+
+    // Concurrent lookups of the same handle share one resolution
+    this.pending = new global.RequestCoalescer();
+  }
+
+  // Update per-method timeouts, e.g. { dns: 3000, wellKnown: 3000, xrpc: 5000 }
+  configure({ dns, wellKnown, xrpc } = {}) {
+    if (dns) this.dnsResolver.timeout = dns;
+    if (wellKnown) this.wellKnownResolver.timeout = wellKnown;
+    if (xrpc) this.xrpcResolver.timeout = xrpc;
+  }
+
+  resolve(handle) {
+    return this.pending.run(handle.toLowerCase(), () => this.resolveUncoalesced(handle));
   }
 
-  async resolve(handle) {
+  async resolveUncoalesced(handle) {
     // Check cache first
-    const cached = this.getFromCache(handle);
+    const cached = await this.getFromCache(handle);
     if (cached) {
       console.debug(`Handle resolved from cache: ${handle} -> ${cached.did}`);
       return cached;
@@ -78,12 +94,16 @@ class UnifiedHandleResolver {
     }
 
     // Cache the result
-    this.cacheResult(handle, result);
+    await this.cacheResult(handle, result);
     
     return result;
   }
 
-  getFromCache(handle) {
+  async getFromCache(handle) {
+    if (this.store) {
+      return this.store.get('handle', handle);
+    }
+
     const cached = this.cache.get(handle);
     if (!cached) return null;
 
@@ -96,7 +116,11 @@ class UnifiedHandleResolver {
     return cached.data;
   }
 
-  cacheResult(handle, result) {
+  async cacheResult(handle, result) {
+    if (this.store) {
+      return this.store.set('handle', handle, result);
+    }
+
     this.cache.set(handle, {
       data: result,
       timestamp: Date.now()
@@ -116,8 +140,11 @@ class UnifiedHandleResolver {
     }
   }
 
-  clearCache() {
+  async clearCache() {
     this.cache.clear();
+    if (this.store) {
+      await this.store.clear('handle');
+    }
   }
 }
 
@@ -0,0 +1,113 @@
+/**
+ * Record verification
+ * Checks a record against its repo instead of trusting whoever served it. The PDS's
+ * com.atproto.sync.getRecord returns a proof CAR: the signed commit, the tree nodes from the
+ * root down to the record, and the record block. From that we check, in order:
+ * - every block hashes to its CID
+ * - the commit is for this repo and is signed by the DID document's signing key
+ * - the record sits under its collection/rkey in the committed tree
+ * - the record as shown (its cid and JSON) encodes to that same CID
+ * Needs lib/car/*.js and lib/signing-keys.js.
+ */
+
+// Proof of one record on its PDS
+function buildSyncGetRecordUrl(pds, did, collection, rkey) {
+  const params = new URLSearchParams({ did, collection, rkey });
+  return `${pds}/xrpc/com.atproto.sync.getRecord?${params}`;
+}
+
+async function fetchRecordProof(url, timeout) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+  if (!response.ok) {
+    if (response.status === 404) {
+      throw new Error('Record not found on its PDS');
+    }
+    throw new Error(`PDS returned ${response.status} for the record proof`);
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// target: { did, pds, signingKey, collection, rkey } (from atpiResolver.resolveXrpcUrl)
+// shown: { cid, value } - the record as displayed
+// Returns { verified, checks: [{ label, ok, detail }], rev, commitCid, recordCid }
+async function verifyRecord(target, shown, options = {}) {
+  const { timeout = 10000 } = options;
+  const { did, pds, signingKey, collection, rkey } = target;
+  if (!collection || !rkey) {
+    throw new Error('Only single records can be verified');
+  }
+  
+  const proof = await fetchRecordProof(buildSyncGetRecordUrl(pds, did, collection, rkey), timeout);
+  const { roots, blocks } = readCar(proof);
+  const checks = [];
+  const check = (label, ok, detail = null) => {
+    checks.push({ label, ok, detail });
+    return ok;
+  };
+  
+  let unhashed = 0;
+  for (const [id, bytes] of blocks) {
+    const cid = Cid.parse(id);
+    const hashed = cid.version === 1 && cid.hashCode === CID_HASH_SHA256 ? await createCid(cid.codec, bytes) : null;
+    if (!hashed || !hashed.equals(cid)) unhashed++;
+  }
+  check('Proof blocks match their CIDs', unhashed === 0, unhashed ? `${unhashed} of ${blocks.size} blocks don't` : null);
+  
+  const commitCid = roots[0];
+  const commitBlock = commitCid && blocks.get(commitCid.toString());
+  if (!commitBlock) {
+    throw new Error('Record proof has no commit');
+  }
+  const commit = decodeDagCbor(commitBlock);
+  check('Commit is for this repo', commit.did === did, commit.did === did ? null : `Commit is for ${commit.did}`);
+  
+  // The signature covers the commit's DAG-CBOR encoding without the sig field
+  if (!signingKey) {
+    check('Commit signature', false, 'The DID document has no atproto signing key');
+  } else {
+    const { sig, ...unsigned } = commit;
+    try {
+      const valid = await verifySignature(signingKey, encodeDagCbor(unsigned), sig);
+      check('Commit signature', valid, valid ? `Signed by the DID document's key` : `Not signed by the DID document's key`);
+    } catch (error) {
+      check('Commit signature', false, error.message);
+    }
+  }
+  
+  const key = `${collection}/${rkey}`;
+  const entry = commit.data instanceof Cid
+    ? walkMst(blocks, commit.data).entries.find(e => e.key === key)
+    : null;
+  const recordCid = entry ? entry.cid.toString() : null;
+  check('Record is in the signed repo', !!entry && blocks.has(recordCid), entry ? null : `${key} is not in the proof`);
+  
+  if (recordCid) {
+    if (shown.cid) {
+      check('CID matches', shown.cid === recordCid, shown.cid === recordCid ? null : `Shown ${shown.cid}, repo has ${recordCid}`);
+    }
+    try {
+      const encoded = await createCid(CID_CODEC_DAG_CBOR, encodeDagCbor(jsonToDagCbor(shown.value)));
+      const matches = encoded.toString() === recordCid;
+      check('Content matches', matches, matches ? null : 'The record shown differs from the one in the repo');
+    } catch (error) {
+      check('Content matches', false, error.message);
+    }
+  }
+  
+  return {
+    verified: checks.every(c => c.ok),
+    checks,
+    rev: typeof commit.rev === 'string' ? commit.rev : null,
+    commitCid: commitCid.toString(),
+    recordCid
+  };
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildSyncGetRecordUrl, verifyRecord };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.buildSyncGetRecordUrl = buildSyncGetRecordUrl;
+  global.verifyRecord = verifyRecord;
+}
@@ -0,0 +1,154 @@
+/**
+ * Repository export
+ * Downloads a whole repo as a CAR file from com.atproto.sync.getRepo on the repo's PDS.
+ * The browser's download manager streams the response straight to disk, so large repos
+ * never sit in memory; callers poll getRepoExportStatus() for progress.
+ *
+ * Passing `since` (a repo revision) asks the PDS for only the blocks written after it.
+ * The latest revision at each finished export is remembered per DID in chrome.storage.local,
+ * so the next export can start from there. The service worker calls finishRepoExport() from
+ * chrome.downloads.onChanged, so that happens whether or not a panel is still polling.
+ */
+
+const REPO_EXPORTS_KEY = 'repoExports';
+const PENDING_REPO_EXPORTS_KEY = 'pendingRepoExports';
+
+// Repo revisions are TIDs: 13 base32-sortable characters
+const REPO_REV_PATTERN = /^[234567abcdefghij][234567abcdefghijklmnopqrstuvwxyz]{12}$/;
+
+function isValidRepoRev(rev) {
+  return typeof rev === 'string' && REPO_REV_PATTERN.test(rev);
+}
+
+// getRepo URL on a PDS, optionally only the changes since a revision
+function buildGetRepoUrl(pds, did, since) {
+  const url = `${pds}/xrpc/com.atproto.sync.getRepo?did=${encodeURIComponent(did)}`;
+  return since ? `${url}&since=${since}` : url;
+}
+
+// did:plc:abc -> did-plc-abc.car, did-plc-abc-since-3kxyz.car
+function repoExportFilename(did, since) {
+  const base = did.replace(/[^a-zA-Z0-9.-]+/g, '-');
+  return since ? `${base}-since-${since}.car` : `${base}.car`;
+}
+
+// Latest commit revision of a repo, or null if the PDS doesn't say
+async function fetchLatestRepoRev(pds, did, timeout) {
+  try {
+    const response = await fetch(`${pds}/xrpc/com.atproto.sync.getLatestCommit?did=${encodeURIComponent(did)}`, {
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (!response.ok) return null;
+    const { rev } = await response.json();
+    return isValidRepoRev(rev) ? rev : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Last finished export of a repo: { rev, time } or null
+async function getLastRepoExport(did) {
+  const stored = await chrome.storage.local.get(REPO_EXPORTS_KEY);
+  const exports = stored[REPO_EXPORTS_KEY] || {};
+  return exports[did] || null;
+}
+
+async function rememberRepoExport(did, rev) {
+  const stored = await chrome.storage.local.get(REPO_EXPORTS_KEY);
+  const exports = stored[REPO_EXPORTS_KEY] || {};
+  exports[did] = { rev, time: new Date().toISOString() };
+  await chrome.storage.local.set({ [REPO_EXPORTS_KEY]: exports });
+}
+
+// Start downloading a repo
+// options.resolveDid: (did) => PDS endpoint, so the export uses the resolver's DID cache
+// options.timeout: how long to wait for the PDS's latest revision
+// Returns { downloadId, filename, rev } where rev is the latest revision when the export started
+async function startRepoExport(did, options = {}) {
+  const { since = null, resolveDid, timeout = 10000 } = options;
+  
+  if (typeof did !== 'string' || !did.startsWith('did:')) {
+    throw new Error('Repo export needs a DID');
+  }
+  if (since && !isValidRepoRev(since)) {
+    throw new Error(`"${since}" is not a repo revision`);
+  }
+  
+  const pds = await resolveDid(did);
+  const rev = await fetchLatestRepoRev(pds, did, timeout);
+  const filename = repoExportFilename(did, since);
+  
+  const downloadId = await chrome.downloads.download({
+    url: buildGetRepoUrl(pds, did, since),
+    filename,
+    conflictAction: 'uniquify'
+  });
+  
+  // Session storage outlives the service worker, which can stop during a long download
+  const stored = await chrome.storage.session.get(PENDING_REPO_EXPORTS_KEY);
+  const pending = stored[PENDING_REPO_EXPORTS_KEY] || {};
+  pending[downloadId] = { did, rev };
+  await chrome.storage.session.set({ [PENDING_REPO_EXPORTS_KEY]: pending });
+  
+  // A small repo can finish before it was marked pending, when onChanged had nothing to match
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  if (item && item.state !== 'in_progress') {
+    await finishRepoExport(downloadId, item.state);
+  }
+  
+  return { downloadId, filename, rev };
+}
+
+// Forget a pending export once its download has ended, remembering its revision if it completed
+// Downloads that aren't exports are ignored
+async function finishRepoExport(downloadId, state) {
+  const stored = await chrome.storage.session.get(PENDING_REPO_EXPORTS_KEY);
+  const pending = stored[PENDING_REPO_EXPORTS_KEY] || {};
+  const started = pending[downloadId];
+  if (!started) return;
+  
+  delete pending[downloadId];
+  await chrome.storage.session.set({ [PENDING_REPO_EXPORTS_KEY]: pending });
+  if (state === 'complete' && started.rev) {
+    await rememberRepoExport(started.did, started.rev);
+  }
+}
+
+// Progress of an export: { state, bytesReceived, totalBytes, filename, error }
+// state is in_progress, complete or interrupted; totalBytes is 0 when the PDS doesn't send a length
+async function getRepoExportStatus(downloadId) {
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  if (!item) {
+    throw new Error('Export not found - it may have been removed from downloads');
+  }
+  
+  return {
+    state: item.state,
+    bytesReceived: item.bytesReceived,
+    totalBytes: item.totalBytes > 0 ? item.totalBytes : 0,
+    filename: item.filename,
+    error: item.error || null
+  };
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    isValidRepoRev,
+    buildGetRepoUrl,
+    repoExportFilename,
+    getLastRepoExport,
+    startRepoExport,
+    finishRepoExport,
+    getRepoExportStatus
+  };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.isValidRepoRev = isValidRepoRev;
+  global.buildGetRepoUrl = buildGetRepoUrl;
+  global.repoExportFilename = repoExportFilename;
+  global.getLastRepoExport = getLastRepoExport;
+  global.startRepoExport = startRepoExport;
+  global.finishRepoExport = finishRepoExport;
+  global.getRepoExportStatus = getRepoExportStatus;
+}
@@ -0,0 +1,41 @@
+/**
+ * In-flight request coalescing
+ * Concurrent callers asking for the same key share one pending promise,
+ * so a page full of identical AT URLs triggers one set of network requests.
+ * Entries are dropped as soon as the promise settles; results are not cached here.
+ */
+
+class RequestCoalescer {
+  constructor() {
+    this.inFlight = new Map();
+  }
+  
+  // Run fn() for key, or join the call already in flight for that key
+  run(key, fn) {
+    const pending = this.inFlight.get(key);
+    if (pending) {
+      return pending;
+    }
+    
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => {
+        this.inFlight.delete(key);
+      });
+    
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+  
+  get size() {
+    return this.inFlight.size;
+  }
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RequestCoalescer;
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.RequestCoalescer = RequestCoalescer;
+}
@@ -0,0 +1,395 @@
+/**
+ * Extension settings
+ * One typed schema with defaults and validation, shared by the content scripts,
+ * the service worker, the popup and the options page. Values are stored flat in
+ * chrome.storage.sync; anything missing or invalid reads as its default.
+ *
+ * Schema entry types: enum (values), boolean, number (integer, min, max, unit), url
+ * and siteRules (see site-rules.js, which must be loaded first).
+ */
+
+const SETTINGS_SCHEMA = {
+  enabled: {
+    type: 'boolean',
+    default: true,
+    group: 'General',
+    label: 'Enabled',
+    description: 'Off turns the extension off on every site. The toggle shortcut (Alt+Shift+A by default) flips this'
+  },
+  mode: {
+    type: 'enum',
+    values: ['local', 'remote', 'auto'],
+    default: 'remote',
+    group: 'Resolution',
+    label: 'Resolution mode',
+    description: 'Local talks to the PDS directly, Remote uses the service below, Auto tries Local first'
+  },
+  remoteBaseUrl: {
+    type: 'url',
+    default: 'https://atpi.at',
+    group: 'Resolution',
+    label: 'Remote service URL',
+    description: 'atpi-compatible service used by Remote and Auto mode'
+  },
+  resolveTimeout: {
+    type: 'number',
+    default: 10000,
+    min: 1000,
+    max: 120000,
+    unit: 'ms',
+    group: 'Resolution',
+    label: 'Resolution timeout',
+    description: 'Time allowed for each PDS, PLC directory or remote service request'
+  },
+  dnsTimeout: {
+    type: 'number',
+    default: 3000,
+    min: 500,
+    max: 30000,
+    unit: 'ms',
+    group: 'Handle resolution',
+    label: 'DNS timeout'
+  },
+  wellKnownTimeout: {
+    type: 'number',
+    default: 3000,
+    min: 500,
+    max: 30000,
+    unit: 'ms',
+    group: 'Handle resolution',
+    label: 'Well-known timeout'
+  },
+  xrpcTimeout: {
+    type: 'number',
+    default: 5000,
+    min: 500,
+    max: 30000,
+    unit: 'ms',
+    group: 'Handle resolution',
+    label: 'XRPC timeout'
+  },
+  hoverDelay: {
+    type: 'number',
+    default: 300,
+    min: 0,
+    max: 5000,
+    unit: 'ms',
+    group: 'Overlay',
+    label: 'Hover delay',
+    description: 'How long to hover a link before the preview opens'
+  },
+  hideDelay: {
+    type: 'number',
+    default: 4000,
+    min: 0,
+    max: 60000,
+    unit: 'ms',
+    group: 'Overlay',
+    label: 'Hide delay after leaving a link'
+  },
+  overlayHideDelay: {
+    type: 'number',
+    default: 2000,
+    min: 0,
+    max: 60000,
+    unit: 'ms',
+    group: 'Overlay',
+    label: 'Hide delay after leaving the preview'
+  },
+  loadMedia: {
+    type: 'boolean',
+    default: true,
+    group: 'Overlay',
+    label: 'Load images',
+    description: 'Show image thumbnails from the record\'s PDS. Off shows links only, so nothing is fetched from the PDS until you click one'
+  },
+  messageTimeout: {
+    type: 'number',
+    default: 10000,
+    min: 1000,
+    max: 120000,
+    unit: 'ms',
+    group: 'Overlay',
+    label: 'Preview timeout',
+    description: 'How long the preview waits for the service worker'
+  },
+  handleCacheTtl: {
+    type: 'number',
+    default: 300,
+    min: 10,
+    max: 604800,
+    unit: 's',
+    group: 'Cache',
+    label: 'Handle cache lifetime'
+  },
+  didCacheTtl: {
+    type: 'number',
+    default: 300,
+    min: 10,
+    max: 604800,
+    unit: 's',
+    group: 'Cache',
+    label: 'DID document cache lifetime'
+  },
+  recordCacheTtl: {
+    type: 'number',
+    default: 300,
+    min: 10,
+    max: 604800,
+    unit: 's',
+    group: 'Cache',
+    label: 'Record cache lifetime'
+  },
+  cacheMaxEntries: {
+    type: 'number',
+    default: 2000,
+    min: 100,
+    max: 100000,
+    group: 'Cache',
+    label: 'Maximum cache entries'
+  },
+  defaultSiteMode: {
+    type: 'enum',
+    values: ['full', 'hover', 'off'],
+    default: 'full',
+    group: 'Sites',
+    label: 'Sites without a rule',
+    description: 'full turns at:// text into links, hover only previews existing links, off does nothing'
+  },
+  siteRules: {
+    type: 'siteRules',
+    default: [],
+    group: 'Sites',
+    label: 'Site rules',
+    description: 'One "pattern mode" per line, e.g. "*.corp.example.com off". *.example.com also matches example.com; the most specific pattern wins'
+  },
+  debugMode: {
+    type: 'boolean',
+    default: false,
+    group: 'Advanced',
+    label: 'Debug logging',
+    description: 'Log resolution details to the console'
+  }
+};
+
+const SETTINGS_DEFAULTS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+// Identifies exported settings files
+const SETTINGS_EXPORT_FORMAT = 'atpi-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+
+// Normalize a service URL to origin + path without a trailing slash
+// Empty means the default service
+function normalizeServiceUrl(value, fallback) {
+  const trimmed = String(value).trim();
+  if (!trimmed) return fallback;
+  
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch (e) {
+    throw new Error('not a valid URL');
+  }
+  
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('must start with https:// or http://');
+  }
+  if (parsed.search || parsed.hash || parsed.username || parsed.password) {
+    throw new Error('must not contain credentials, a query or a fragment');
+  }
+  
+  return `${parsed.origin}${parsed.pathname}`.replace(/\/+$/, '');
+}
+
+// Validate one value against the schema and return it normalized
+// Throws with a message naming the setting
+function validateSetting(key, value) {
+  const spec = SETTINGS_SCHEMA[key];
+  if (!spec) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+  
+  try {
+    switch (spec.type) {
+      case 'enum':
+        if (!spec.values.includes(value)) {
+          throw new Error(`must be one of ${spec.values.join(', ')}`);
+        }
+        return value;
+      
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          throw new Error('must be true or false');
+        }
+        return value;
+      
+      case 'number': {
+        // Form fields and imported files may carry numbers as strings
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isInteger(number)) {
+          throw new Error('must be a whole number');
+        }
+        if (number < spec.min || number > spec.max) {
+          throw new Error(`must be between ${spec.min} and ${spec.max}`);
+        }
+        return number;
+      }
+      
+      case 'url':
+        if (typeof value !== 'string') {
+          throw new Error('must be a URL');
+        }
+        return normalizeServiceUrl(value, spec.default);
+      
+      case 'siteRules':
+        // The options page edits rules as text, one "pattern mode" per line
+        return validateSiteRules(typeof value === 'string' ? parseSiteRules(value) : value);
+      
+      default:
+        throw new Error(`has unsupported type ${spec.type}`);
+    }
+  } catch (error) {
+    throw new Error(`${spec.label} ${error.message}`);
+  }
+}
+
+// Validate a set of values
+// Returns { values, errors } with errors keyed by setting name
+function validateSettings(input) {
+  const values = {};
+  const errors = {};
+  
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: { '': 'Settings must be an object' } };
+  }
+  
+  for (const [key, value] of Object.entries(input)) {
+    try {
+      values[key] = validateSetting(key, value);
+    } catch (error) {
+      errors[key] = error.message;
+    }
+  }
+  
+  return { values, errors };
+}
+
+// Stored value, or the default when missing or invalid
+function readStoredSetting(key, value) {
+  if (value === undefined) return SETTINGS_DEFAULTS[key];
+  try {
+    return validateSetting(key, value);
+  } catch (error) {
+    console.warn('[ATPI Settings] Ignoring invalid stored value:', error.message);
+    return SETTINGS_DEFAULTS[key];
+  }
+}
+
+// Load every setting, falling back to defaults
+async function loadSettings() {
+  const stored = await chrome.storage.sync.get(Object.keys(SETTINGS_SCHEMA));
+  const settings = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    settings[key] = readStoredSetting(key, stored[key]);
+  }
+  return settings;
+}
+
+// Validate and store some settings; nothing is stored if any value is invalid
+async function saveSettings(values) {
+  const { values: valid, errors } = validateSettings(values);
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    throw new Error(messages.join('; '));
+  }
+  
+  await chrome.storage.sync.set(valid);
+  return valid;
+}
+
+// Drop all stored settings so every value reads as its default
+async function resetSettings() {
+  await chrome.storage.sync.remove(Object.keys(SETTINGS_SCHEMA));
+}
+
+// Call callback(changes) with the new values of settings changed in storage
+// Returns a function that removes the listener
+function onSettingsChanged(callback) {
+  const listener = (changes, area) => {
+    if (area !== 'sync') return;
+    
+    const changed = {};
+    for (const [key, change] of Object.entries(changes)) {
+      if (SETTINGS_SCHEMA[key]) {
+        changed[key] = readStoredSetting(key, change.newValue);
+      }
+    }
+    
+    if (Object.keys(changed).length > 0) {
+      callback(changed);
+    }
+  };
+  
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+// Current settings as a JSON document
+async function exportSettings() {
+  const settings = await loadSettings();
+  return JSON.stringify({
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_EXPORT_VERSION,
+    settings
+  }, null, 2);
+}
+
+// Validate and store settings from an exported JSON document
+// Settings missing from the file keep their current values
+async function importSettings(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Settings file is not valid JSON');
+  }
+  
+  if (!parsed || parsed.format !== SETTINGS_EXPORT_FORMAT) {
+    throw new Error('Not an ATPI settings file');
+  }
+  if (parsed.version > SETTINGS_EXPORT_VERSION) {
+    throw new Error(`Settings file version ${parsed.version} is newer than this extension supports`);
+  }
+  
+  return saveSettings(parsed.settings);
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SETTINGS_SCHEMA,
+    SETTINGS_DEFAULTS,
+    validateSetting,
+    validateSettings,
+    loadSettings,
+    saveSettings,
+    resetSettings,
+    onSettingsChanged,
+    exportSettings,
+    importSettings
+  };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.SETTINGS_SCHEMA = SETTINGS_SCHEMA;
+  global.SETTINGS_DEFAULTS = SETTINGS_DEFAULTS;
+  global.validateSetting = validateSetting;
+  global.validateSettings = validateSettings;
+  global.loadSettings = loadSettings;
+  global.saveSettings = saveSettings;
+  global.resetSettings = resetSettings;
+  global.onSettingsChanged = onSettingsChanged;
+  global.exportSettings = exportSettings;
+  global.importSettings = importSettings;
+}
@@ -0,0 +1,158 @@
+/**
+ * atproto signing keys
+ * Parses the Multikey public keys DID documents publish (publicKeyMultibase, or a did:key)
+ * and verifies ECDSA signatures with them. atproto uses two curves: secp256k1 ("k256"),
+ * which WebCrypto doesn't support, and P-256; both are checked here with BigInt arithmetic.
+ * Signatures are 64 bytes (r then s) over the SHA-256 of the data, and must be low-S.
+ */
+
+const EC_CURVES = {
+  k256: {
+    multicodec: [0xe7, 0x01],
+    p: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn,
+    a: 0n,
+    b: 7n,
+    n: 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n,
+    gx: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    gy: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+  },
+  p256: {
+    multicodec: [0x80, 0x24],
+    p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+    a: 0xffffffff00000001000000000000000000000000fffffffffffffffffffffffcn,
+    b: 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn,
+    n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+    gx: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+    gy: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n
+  }
+};
+
+function mod(value, modulus) {
+  const result = value % modulus;
+  return result >= 0n ? result : result + modulus;
+}
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base = mod(base, modulus);
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function modInverse(value, modulus) {
+  let [a, b] = [mod(value, modulus), modulus];
+  let [x, lastX] = [0n, 1n];
+  while (b !== 0n) {
+    const quotient = a / b;
+    [a, b] = [b, a - quotient * b];
+    [lastX, x] = [x, lastX - quotient * x];
+  }
+  return mod(lastX, modulus);
+}
+
+// Affine point arithmetic; null is the point at infinity
+function addPoints(curve, P, Q) {
+  if (!P) return Q;
+  if (!Q) return P;
+  const { p, a } = curve;
+  let slope;
+  if (P.x === Q.x) {
+    if (mod(P.y + Q.y, p) === 0n) return null;
+    slope = mod((3n * P.x * P.x + a) * modInverse(2n * P.y, p), p);
+  } else {
+    slope = mod((Q.y - P.y) * modInverse(Q.x - P.x, p), p);
+  }
+  const x = mod(slope * slope - P.x - Q.x, p);
+  return { x, y: mod(slope * (P.x - x) - P.y, p) };
+}
+
+function multiplyPoint(curve, k, P) {
+  let result = null;
+  let addend = P;
+  while (k > 0n) {
+    if (k & 1n) result = addPoints(curve, result, addend);
+    addend = addPoints(curve, addend, addend);
+    k >>= 1n;
+  }
+  return result;
+}
+
+function bytesToBigInt(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+// Compressed point (0x02/0x03 then x) -> { x, y }
+// Both curves have p = 3 mod 4, so the square root is a single exponentiation
+function decompressPoint(curve, bytes) {
+  const { p, a, b } = curve;
+  if (bytes.length !== 33 || (bytes[0] !== 2 && bytes[0] !== 3)) {
+    throw new Error('Signing key is not a compressed public key');
+  }
+  const x = bytesToBigInt(bytes.subarray(1));
+  const ySquared = mod(x * x * x + a * x + b, p);
+  let y = modPow(ySquared, (p + 1n) / 4n, p);
+  if (x >= p || mod(y * y, p) !== ySquared) {
+    throw new Error('Signing key is not a point on its curve');
+  }
+  if ((y & 1n) !== BigInt(bytes[0] & 1)) {
+    y = p - y;
+  }
+  return { x, y };
+}
+
+// "zQ3sh..." or "did:key:zQ3sh..." -> { type: 'k256' | 'p256', curve, point }
+function parseSigningKey(key) {
+  const multibase = typeof key === 'string' ? key.replace(/^did:key:/, '') : '';
+  if (!multibase.startsWith('z')) {
+    throw new Error('Signing key is not a base58btc multikey');
+  }
+  const bytes = decodeBase58(multibase.substring(1));
+  for (const [type, curve] of Object.entries(EC_CURVES)) {
+    const [first, second] = curve.multicodec;
+    if (bytes[0] === first && bytes[1] === second) {
+      return { type, curve, point: decompressPoint(curve, bytes.subarray(2)) };
+    }
+  }
+  throw new Error('Unsupported signing key type');
+}
+
+// Check a 64-byte signature over data; throws if the key can't be used
+async function verifySignature(key, data, signature) {
+  const { curve, point } = parseSigningKey(key);
+  const { n, gx, gy } = curve;
+  if (!(signature instanceof Uint8Array) || signature.length !== 64) {
+    return false;
+  }
+  const r = bytesToBigInt(signature.subarray(0, 32));
+  const s = bytesToBigInt(signature.subarray(32));
+  // High-S signatures are malleable copies of a valid one; atproto rejects them
+  if (r <= 0n || r >= n || s <= 0n || s > n / 2n) {
+    return false;
+  }
+  
+  const hash = bytesToBigInt(new Uint8Array(await crypto.subtle.digest('SHA-256', data)));
+  const sInverse = modInverse(s, n);
+  const R = addPoints(
+    curve,
+    multiplyPoint(curve, mod(hash * sInverse, n), { x: gx, y: gy }),
+    multiplyPoint(curve, mod(r * sInverse, n), point)
+  );
+  return R !== null && mod(R.x, n) === r;
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseSigningKey, verifySignature };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.parseSigningKey = parseSigningKey;
+  global.verifySignature = verifySignature;
+}
@@ -0,0 +1,147 @@
+/**
+ * Per-site rules
+ * A rule pairs a hostname pattern with a site mode:
+ *   full  - rewrite at:// text into links and preview on hover
+ *   hover - preview existing links on hover, never touch page text
+ *   off   - do nothing on the site
+ *
+ * Patterns are hostnames where * matches any run of characters, so
+ * "intranet-*.corp" and "*" both work. "*.example.com" also matches example.com.
+ * When several rules match, the most specific pattern wins: exact hostnames
+ * beat wildcards, and longer patterns beat shorter ones.
+ */
+
+const SITE_MODES = ['full', 'hover', 'off'];
+
+const SITE_PATTERN_CHARS = /^[a-z0-9.*-]+$/;
+
+// Normalize a pattern, accepting a pasted URL; throws when it can't be a hostname pattern
+function normalizeSitePattern(pattern) {
+  let value = String(pattern).trim().toLowerCase();
+  
+  // Pasted URL: keep the hostname
+  const urlMatch = value.match(/^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/);
+  if (urlMatch) {
+    value = urlMatch[1].replace(/^[^@]*@/, '').replace(/:\d+$/, '');
+  }
+  
+  if (!value) {
+    throw new Error('pattern is empty');
+  }
+  if (!SITE_PATTERN_CHARS.test(value) || value.includes('..')) {
+    throw new Error(`"${pattern}" is not a hostname pattern`);
+  }
+  return value;
+}
+
+// Validate a list of rules and return it normalized
+function validateSiteRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('must be a list of rules');
+  }
+  
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`rule ${index + 1} is not a rule`);
+    }
+    if (!SITE_MODES.includes(rule.mode)) {
+      throw new Error(`rule ${index + 1} mode must be one of ${SITE_MODES.join(', ')}`);
+    }
+    return { pattern: normalizeSitePattern(rule.pattern), mode: rule.mode };
+  });
+}
+
+// Parse rules from text, one "pattern mode" per line; # starts a comment
+function parseSiteRules(text) {
+  const rules = [];
+  
+  text.split('\n').forEach((line, index) => {
+    const content = line.replace(/#.*$/, '').trim();
+    if (!content) return;
+    
+    const parts = content.split(/\s+/);
+    if (parts.length !== 2) {
+      throw new Error(`line ${index + 1} should be "pattern mode"`);
+    }
+    if (!SITE_MODES.includes(parts[1])) {
+      throw new Error(`line ${index + 1} mode must be one of ${SITE_MODES.join(', ')}`);
+    }
+    rules.push({ pattern: parts[0], mode: parts[1] });
+  });
+  
+  return validateSiteRules(rules);
+}
+
+// Format rules as text for parseSiteRules
+function formatSiteRules(rules) {
+  return rules.map(rule => `${rule.pattern} ${rule.mode}`).join('\n');
+}
+
+// Whether pattern covers hostname
+function matchesSitePattern(pattern, hostname) {
+  if (pattern === hostname) return true;
+  if (!pattern.includes('*')) return false;
+  
+  // *.example.com covers example.com itself
+  if (pattern.startsWith('*.') && hostname === pattern.substring(2)) return true;
+  
+  const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(hostname);
+}
+
+// Higher is more specific
+function sitePatternSpecificity(pattern) {
+  return (pattern.includes('*') ? 0 : 10000) + pattern.replace(/\*/g, '').length;
+}
+
+// Rule that decides the mode for a hostname, or null when none matches
+function findSiteRule(hostname, rules) {
+  const host = String(hostname).toLowerCase();
+  let best = null;
+  
+  for (const rule of rules || []) {
+    if (!matchesSitePattern(rule.pattern, host)) continue;
+    if (!best || sitePatternSpecificity(rule.pattern) > sitePatternSpecificity(best.pattern)) {
+      best = rule;
+    }
+  }
+  
+  return best;
+}
+
+// Mode for a hostname: the most specific matching rule, else defaultMode
+function getSiteMode(hostname, rules, defaultMode = 'full') {
+  const rule = findSiteRule(hostname, rules);
+  return rule ? rule.mode : defaultMode;
+}
+
+// Rules with the exact-hostname rule for hostname set to mode (or removed when mode is null)
+function setSiteRule(rules, hostname, mode) {
+  const host = String(hostname).toLowerCase();
+  const others = (rules || []).filter(rule => rule.pattern !== host);
+  return mode ? [...others, { pattern: host, mode }] : others;
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SITE_MODES,
+    validateSiteRules,
+    parseSiteRules,
+    formatSiteRules,
+    matchesSitePattern,
+    findSiteRule,
+    getSiteMode,
+    setSiteRule
+  };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.SITE_MODES = SITE_MODES;
+  global.validateSiteRules = validateSiteRules;
+  global.parseSiteRules = parseSiteRules;
+  global.formatSiteRules = formatSiteRules;
+  global.matchesSitePattern = matchesSitePattern;
+  global.findSiteRule = findSiteRule;
+  global.getSiteMode = getSiteMode;
+  global.setSiteRule = setSiteRule;
+}
@@ -0,0 +1,149 @@
+/**
+ * URL mappers for AT Protocol web frontends
+ * Translates AppView web URLs (e.g. https://bsky.app/profile/alice.bsky.social/post/3k...)
+ * into canonical at:// URIs so they can be previewed like literal AT URLs.
+ *
+ * Each mapper has a name, the hosts it handles and a map(url) function that
+ * returns an at:// URI or null. Register extra frontends with registerUrlMapper().
+ */
+
+// Path segment -> collection NSID for bsky.app-style profile URLs
+const BSKY_PROFILE_COLLECTIONS = {
+  post: 'app.bsky.feed.post',
+  lists: 'app.bsky.graph.list',
+  feed: 'app.bsky.feed.generator'
+};
+
+// Map bsky.app-style paths:
+//   /profile/{actor}
+//   /profile/{actor}/post/{rkey}
+//   /profile/{actor}/lists/{rkey}
+//   /profile/{actor}/feed/{rkey}
+//   /starter-pack/{actor}/{rkey}
+function mapBskyStylePath(url) {
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  
+  if (segments[0] === 'profile' && segments[1]) {
+    const actor = segments[1];
+    if (segments.length === 2) {
+      return `at://${actor}`;
+    }
+    const collection = BSKY_PROFILE_COLLECTIONS[segments[2]];
+    if (collection && segments[3] && segments.length === 4) {
+      return `at://${actor}/${collection}/${segments[3]}`;
+    }
+    return null;
+  }
+  
+  if (segments[0] === 'starter-pack' && segments[1] && segments[2] && segments.length === 3) {
+    return `at://${segments[1]}/app.bsky.graph.starterpack/${segments[2]}`;
+  }
+  
+  return null;
+}
+
+const URL_MAPPERS = [
+  {
+    name: 'Bluesky',
+    hosts: ['bsky.app', 'staging.bsky.app', 'main.bsky.dev'],
+    map: mapBskyStylePath
+  },
+  {
+    name: 'Deer.social',
+    hosts: ['deer.social'],
+    map: mapBskyStylePath
+  },
+  {
+    name: 'atproto.at',
+    hosts: ['atproto.at'],
+    // https://atproto.at://did:plc:.../collection/rkey is parsed as host "atproto.at" with path "//did..."
+    map: url => {
+      const match = url.href.match(/^https:\/\/atproto\.at:?\/\/(.+)$/);
+      return match ? `at://${match[1]}` : null;
+    }
+  }
+];
+
+// Handles (domain names) and DIDs are the only valid repo identifiers
+function isValidActor(actor) {
+  return /^did:[a-z]+:[a-zA-Z0-9._:%-]+$/.test(actor) ||
+    /^([a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?\.)+[a-zA-Z]([a-zA-Z0-9-]*[a-zA-Z0-9])?$/.test(actor);
+}
+
+// Translate a web URL into an at:// URI, or null if no mapper knows it
+function mapWebUrlToAtUri(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    return null;
+  }
+  
+  if (url.protocol !== 'https:') return null;
+  
+  const host = url.hostname.toLowerCase();
+  const mapper = URL_MAPPERS.find(m => m.hosts.includes(host));
+  if (!mapper) return null;
+  
+  try {
+    const atUri = mapper.map(url);
+    if (!atUri) return null;
+    const [actor, ...rest] = atUri.substring(5).split('/');
+    if (!isValidActor(actor) || !rest.every(part => /^[a-zA-Z0-9._:~-]{1,512}$/.test(part))) {
+      return null;
+    }
+    return atUri;
+  } catch (error) {
+    return null;
+  }
+}
+
+// AT URI, DID and web URL patterns inside arbitrary text
+const TEXT_AT_URI_PATTERN = /at:\/\/[a-zA-Z0-9._:%-]+(?:\/[a-zA-Z0-9._-]+)*(?:\/[a-zA-Z0-9._~:@!$&'()*+,;=-]+)?/;
+const TEXT_WEB_URL_PATTERN = /https:\/\/[^\s"'<>]+/g;
+const TEXT_DID_PATTERN = /did:(?:plc:[a-z2-7]{24}|web:[a-zA-Z0-9.%-]+)/;
+
+// Find an at:// URI in a selection or link target
+// Accepts an at:// URI anywhere in the text, a known web frontend URL, a bare DID,
+// or text that is only a handle (optionally with a leading @)
+function findAtUri(text) {
+  if (typeof text !== 'string') return null;
+  
+  // Selections often take the full stop at the end of a sentence with them
+  const atMatch = text.match(TEXT_AT_URI_PATTERN);
+  if (atMatch) return atMatch[0].replace(/\.+$/, '');
+  
+  for (const [href] of text.matchAll(TEXT_WEB_URL_PATTERN)) {
+    const atUri = mapWebUrlToAtUri(href.replace(/[.,;:!?)\]]+$/, ''));
+    if (atUri) return atUri;
+  }
+  
+  const didMatch = text.match(TEXT_DID_PATTERN);
+  if (didMatch) return `at://${didMatch[0]}`;
+  
+  const handle = text.trim().replace(/^@/, '');
+  if (handle.includes('.') && isValidActor(handle)) {
+    return `at://${handle.toLowerCase()}`;
+  }
+  
+  return null;
+}
+
+// Add a mapper for another frontend; later registrations win for shared hosts
+function registerUrlMapper(mapper) {
+  if (!mapper || !Array.isArray(mapper.hosts) || typeof mapper.map !== 'function') {
+    throw new Error('URL mapper needs hosts and a map function');
+  }
+  URL_MAPPERS.unshift(mapper);
+}
+
+// Export for use in extension
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { URL_MAPPERS, mapWebUrlToAtUri, findAtUri, registerUrlMapper };
+} else {
+  const global = typeof globalThis !== 'undefined' ? globalThis : self;
+  global.URL_MAPPERS = URL_MAPPERS;
+  global.mapWebUrlToAtUri = mapWebUrlToAtUri;
+  global.findAtUri = findAtUri;
+  global.registerUrlMapper = registerUrlMapper;
+}
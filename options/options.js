@@ -0,0 +1,301 @@
+// Debug logging with timestamps
+let DEBUG = false; // Will be loaded from storage
+const log = (...args) => {
+  if (DEBUG) {
+    const timestamp = new Date().toISOString().split('T')[1].slice(0, -1);
+    console.log(`[${timestamp}] [ATPI Options]`, ...args);
+  }
+};
+
+// Remote service check
+const REMOTE_TEST_DID = 'did:plc:ewvi7nxzyoun6zhxrhs64oiz'; // atproto.com
+const REMOTE_TEST_TIMEOUT = 10000;
+
+// Form has edits that are not saved yet
+let isDirty = false;
+
+// Fetch a known DID through the service and check it answers with JSON
+async function testRemoteService(baseUrl) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REMOTE_TEST_TIMEOUT);
+  const startTime = Date.now();
+  
+  try {
+    const response = await fetch(`${baseUrl}//${REMOTE_TEST_DID}`, {
+      signal: controller.signal,
+      headers: { 'Accept': 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error(`Service answered HTTP ${response.status}`);
+    }
+    
+    let data;
+    try {
+      data = await response.json();
+    } catch (e) {
+      throw new Error('Service did not answer with JSON');
+    }
+    if (!data || typeof data !== 'object') {
+      throw new Error('Service answered with unexpected data');
+    }
+    
+    return Date.now() - startTime;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`No answer within ${REMOTE_TEST_TIMEOUT / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Show a message in the status bar
+function showStatus(message, type = '') {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = `status ${type}`;
+}
+
+// Build the input for one schema entry
+function createInput(key, spec) {
+  let input;
+  
+  if (spec.type === 'siteRules') {
+    input = document.createElement('textarea');
+    input.rows = 5;
+    input.placeholder = '*.corp.example.com off\nwiki.example.org hover';
+    input.spellcheck = false;
+  } else if (spec.type === 'enum') {
+    input = document.createElement('select');
+    spec.values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      input.appendChild(option);
+    });
+  } else {
+    input = document.createElement('input');
+    if (spec.type === 'boolean') {
+      input.type = 'checkbox';
+    } else if (spec.type === 'number') {
+      input.type = 'number';
+      input.min = spec.min;
+      input.max = spec.max;
+      input.step = 1;
+    } else {
+      input.type = 'url';
+      input.placeholder = spec.default;
+      input.spellcheck = false;
+    }
+  }
+  
+  input.id = `setting-${key}`;
+  input.name = key;
+  input.addEventListener('input', () => {
+    isDirty = true;
+    setFieldError(key, '');
+  });
+  return input;
+}
+
+// Build one row: label, input, unit, description and error line
+function createField(key, spec) {
+  const field = document.createElement('div');
+  field.className = `field field-${spec.type}`;
+  field.dataset.key = key;
+  
+  const label = document.createElement('label');
+  label.htmlFor = `setting-${key}`;
+  label.textContent = spec.label;
+  
+  const control = document.createElement('div');
+  control.className = 'control';
+  control.appendChild(createInput(key, spec));
+  
+  if (spec.unit) {
+    const unit = document.createElement('span');
+    unit.className = 'unit';
+    unit.textContent = spec.unit;
+    control.appendChild(unit);
+  }
+  
+  if (key === 'remoteBaseUrl') {
+    const testBtn = document.createElement('button');
+    testBtn.type = 'button';
+    testBtn.id = 'remote-test';
+    testBtn.textContent = 'Test';
+    control.appendChild(testBtn);
+  }
+  
+  field.append(label, control);
+  
+  const hint = document.createElement('div');
+  hint.className = 'hint';
+  let defaultText = `${spec.default}${spec.unit ? ` ${spec.unit}` : ''}`;
+  if (spec.type === 'boolean') {
+    defaultText = spec.default ? 'on' : 'off';
+  } else if (spec.type === 'siteRules') {
+    defaultText = 'none';
+  }
+  hint.textContent = spec.description ? `${spec.description}. Default: ${defaultText}` : `Default: ${defaultText}`;
+  field.appendChild(hint);
+  
+  const error = document.createElement('div');
+  error.className = 'error';
+  field.appendChild(error);
+  
+  return field;
+}
+
+// Build the form from the settings schema, one section per group
+function buildForm(form) {
+  const sections = new Map();
+  
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, spec]) => {
+    if (!sections.has(spec.group)) {
+      const section = document.createElement('fieldset');
+      const legend = document.createElement('legend');
+      legend.textContent = spec.group;
+      section.appendChild(legend);
+      sections.set(spec.group, section);
+      form.appendChild(section);
+    }
+    sections.get(spec.group).appendChild(createField(key, spec));
+  });
+}
+
+function setFieldError(key, message) {
+  const field = document.querySelector(`.field[data-key="${key}"]`);
+  if (!field) return;
+  field.classList.toggle('invalid', !!message);
+  field.querySelector('.error').textContent = message;
+}
+
+// Put settings values into the form
+function fillForm(settings) {
+  Object.entries(settings).forEach(([key, value]) => {
+    const input = document.getElementById(`setting-${key}`);
+    if (!input) return;
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else if (Array.isArray(value)) {
+      input.value = formatSiteRules(value);
+    } else {
+      input.value = value;
+    }
+    setFieldError(key, '');
+  });
+}
+
+// Read the form as raw values (validated by saveSettings)
+function readForm() {
+  const values = {};
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, spec]) => {
+    const input = document.getElementById(`setting-${key}`);
+    values[key] = spec.type === 'boolean' ? input.checked : input.value;
+  });
+  return values;
+}
+
+// Download the current settings as a JSON file
+async function downloadSettings() {
+  const json = await exportSettings();
+  const blobUrl = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = 'atpi-settings.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+}
+
+async function initializeOptions() {
+  const form = document.getElementById('settings-form');
+  buildForm(form);
+  
+  const settings = await loadSettings();
+  DEBUG = settings.debugMode;
+  fillForm(settings);
+  log('Options loaded:', settings);
+  
+  // Keep the form current when settings change elsewhere (popup, other window)
+  onSettingsChanged(changes => {
+    if ('debugMode' in changes) DEBUG = changes.debugMode;
+    if (!isDirty) fillForm(changes);
+  });
+  
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const { values, errors } = validateSettings(readForm());
+    Object.keys(SETTINGS_SCHEMA).forEach(key => setFieldError(key, errors[key] || ''));
+    if (Object.keys(errors).length > 0) {
+      showStatus('Some settings are invalid', 'error');
+      return;
+    }
+    
+    try {
+      await saveSettings(values);
+      isDirty = false;
+      fillForm(values);
+      showStatus('Settings saved', 'success');
+      log('Settings saved:', values);
+    } catch (error) {
+      showStatus(error.message, 'error');
+    }
+  });
+  
+  document.getElementById('remote-test').addEventListener('click', async () => {
+    try {
+      const baseUrl = validateSetting('remoteBaseUrl', document.getElementById('setting-remoteBaseUrl').value);
+      setFieldError('remoteBaseUrl', '');
+      showStatus(`Testing ${baseUrl}...`);
+      const duration = await testRemoteService(baseUrl);
+      showStatus(`${baseUrl} answered in ${duration}ms`, 'success');
+    } catch (error) {
+      setFieldError('remoteBaseUrl', error.message);
+      showStatus('Remote service test failed', 'error');
+    }
+  });
+  
+  document.getElementById('reset').addEventListener('click', async () => {
+    if (!confirm('Reset all settings to their defaults?')) return;
+    await resetSettings();
+    isDirty = false;
+    fillForm(SETTINGS_DEFAULTS);
+    showStatus('Settings reset to defaults', 'success');
+  });
+  
+  document.getElementById('export').addEventListener('click', () => {
+    downloadSettings().catch(error => showStatus(error.message, 'error'));
+  });
+  
+  const importInput = document.getElementById('import-file');
+  document.getElementById('import').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    
+    try {
+      const imported = await importSettings(await file.text());
+      const current = await loadSettings();
+      isDirty = false;
+      fillForm(current);
+      showStatus(`Imported ${Object.keys(imported).length} settings from ${file.name}`, 'success');
+    } catch (error) {
+      showStatus(error.message, 'error');
+    }
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initializeOptions);
+} else {
+  initializeOptions();
+}
+
+// Add error handler for runtime errors
+window.addEventListener('error', (event) => {
+  console.error('[ATPI Options] Uncaught error:', event.error);
+});
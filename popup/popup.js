@@ -10,6 +10,92 @@ const log = (...args) => {
 // Start loading immediately without waiting for DOMContentLoaded
 const initStartTime = Date.now();
 
+// What each site mode does, for the status line under the site toggle
+const SITE_MODE_DESCRIPTIONS = {
+  full: 'Links and previews',
+  hover: 'Previews of existing links only',
+  off: 'Off'
+};
+
+// Site modes from before the toggle turned a site off, per hostname (chrome.storage.local)
+const SITE_MODES_BEFORE_OFF_KEY = 'siteModesBeforeOff';
+
+// "Enabled on <site>" toggle for the active tab
+// Writes an exact-hostname rule; wildcard rules and the default stay as they are
+async function setupSiteToggle(settings) {
+  const section = document.getElementById('site-section');
+  const checkbox = document.getElementById('site-enabled');
+  const label = document.getElementById('site-label');
+  const modeText = document.getElementById('site-mode');
+  if (!section || !checkbox) return;
+  
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  let hostname = null;
+  try {
+    const url = new URL(tab.url);
+    if (url.protocol === 'https:' || url.protocol === 'http:') {
+      hostname = url.hostname;
+    }
+  } catch (e) {
+    // No URL for this tab (e.g. a chrome:// page)
+  }
+  if (!hostname) return;
+  
+  section.hidden = false;
+  label.textContent = `Enabled on ${hostname}`;
+  
+  const render = () => {
+    const rule = findSiteRule(hostname, settings.siteRules);
+    const mode = rule ? rule.mode : settings.defaultSiteMode;
+    checkbox.checked = mode !== 'off';
+    modeText.textContent = rule && rule.pattern !== hostname
+      ? `${SITE_MODE_DESCRIPTIONS[mode]} (rule ${rule.pattern})`
+      : SITE_MODE_DESCRIPTIONS[mode];
+    
+    // The global switch overrides every site
+    if (!settings.enabled) {
+      modeText.textContent = 'Turned off on every site (see All settings…)';
+    }
+  };
+  render();
+  
+  checkbox.addEventListener('change', async () => {
+    const stored = await chrome.storage.local.get(SITE_MODES_BEFORE_OFF_KEY).catch(() => ({}));
+    const modesBeforeOff = stored[SITE_MODES_BEFORE_OFF_KEY] || {};
+    const previousMode = getSiteMode(hostname, settings.siteRules, settings.defaultSiteMode);
+    
+    // Drop this host's own rule, then add one only if wildcards and the default disagree
+    let rules = setSiteRule(settings.siteRules, hostname, null);
+    const inheritedMode = getSiteMode(hostname, rules, settings.defaultSiteMode);
+    if (!checkbox.checked) {
+      // Remember a hover-only or full mode so turning the site back on restores it
+      if (previousMode !== 'off') {
+        modesBeforeOff[hostname] = previousMode;
+      }
+      if (inheritedMode !== 'off') {
+        rules = setSiteRule(rules, hostname, 'off');
+      }
+    } else {
+      const restoredMode = modesBeforeOff[hostname] || (inheritedMode === 'off' ? 'full' : inheritedMode);
+      delete modesBeforeOff[hostname];
+      if (restoredMode !== inheritedMode) {
+        rules = setSiteRule(rules, hostname, restoredMode);
+      }
+    }
+    
+    try {
+      // The page's content script applies this through chrome.storage.onChanged
+      await saveSettings({ siteRules: rules });
+      await chrome.storage.local.set({ [SITE_MODES_BEFORE_OFF_KEY]: modesBeforeOff });
+      settings.siteRules = rules;
+      log('Site rules changed for', hostname, rules);
+    } catch (error) {
+      console.error('[ATPI Popup] Error saving site rules:', error);
+    }
+    render();
+  });
+}
+
 // Load and save resolution mode
 async function initializePopup() {
   log('Popup initialization started');
@@ -25,10 +111,10 @@ async function initializePopup() {
   
   // Load current mode and debug setting
   try {
-    const result = await chrome.storage.sync.get(['mode', 'debugMode']);
+    const result = await loadSettings();
     
     // Set debug mode
-    DEBUG = result.debugMode || false;
+    DEBUG = result.debugMode;
     const debugCheckbox = document.getElementById('debug-mode');
     if (debugCheckbox) {
       debugCheckbox.checked = DEBUG;
@@ -36,9 +122,18 @@ async function initializePopup() {
     
     log('Storage result:', result);
     
-    const mode = result.mode || 'remote';
+    const mode = result.mode;
     const modeRadio = document.getElementById(mode);
     
+    const remoteDescription = document.getElementById('remote-description');
+    if (remoteDescription) {
+      remoteDescription.textContent = `Via ${new URL(result.remoteBaseUrl).host} service`;
+    }
+    
+    setupSiteToggle(result).catch(error => {
+      console.error('[ATPI Popup] Error loading site toggle:', error);
+    });
+    
     if (modeRadio) {
       modeRadio.checked = true;
       status.textContent = `Mode: ${mode}`;
@@ -58,20 +153,9 @@ async function initializePopup() {
       log('Mode changed to:', newMode);
       
       try {
-        await chrome.storage.sync.set({ mode: newMode });
+        // Content scripts pick this up through chrome.storage.onChanged
+        await saveSettings({ mode: newMode });
         status.textContent = `Mode: ${newMode}`;
-        
-        // Notify content scripts of mode change
-        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (tabs[0]) {
-          chrome.tabs.sendMessage(tabs[0].id, { 
-            type: 'MODE_CHANGED', 
-            mode: newMode 
-          }).catch(err => {
-            // Content script may not be loaded on this page
-            log('Could not notify content script:', err.message);
-          });
-        }
       } catch (error) {
         console.error('[ATPI Popup] Error saving settings:', error);
         status.textContent = 'Error saving settings';
@@ -84,21 +168,12 @@ async function initializePopup() {
     log('Clear cache clicked');
     
     try {
-      // Clear chrome storage
-      await chrome.storage.local.clear();
-      log('Chrome storage cleared');
-      
-      // Notify content scripts to clear their caches
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs[0]) {
-        chrome.tabs.sendMessage(tabs[0].id, { 
-          type: 'CLEAR_CACHE' 
-        }).then(() => {
-          log('Content script cache cleared');
-        }).catch(err => {
-          log('Could not clear content script cache:', err.message);
-        });
+      // The service worker owns the shared handle / DID / record cache
+      const response = await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+      if (!response || response.error) {
+        throw new Error(response ? response.error : 'No response from service worker');
       }
+      log('Service worker cache cleared');
       
       status.textContent = 'Cache cleared';
       
@@ -122,19 +197,7 @@ async function initializePopup() {
       DEBUG = e.target.checked;
       
       try {
-        await chrome.storage.sync.set({ debugMode: DEBUG });
-        
-        // Notify all tabs to update debug mode
-        const tabs = await chrome.tabs.query({});
-        tabs.forEach(tab => {
-          chrome.tabs.sendMessage(tab.id, { 
-            type: 'DEBUG_MODE_CHANGED', 
-            debugMode: DEBUG 
-          }).catch(() => {
-            // Ignore errors for tabs without content scripts
-          });
-        });
-        
+        await saveSettings({ debugMode: DEBUG });
         log('Debug mode changed to:', DEBUG);
       } catch (error) {
         console.error('[ATPI Popup] Error saving debug mode:', error);
@@ -142,6 +205,15 @@ async function initializePopup() {
     });
   }
   
+  // Everything else lives on the options page
+  const optionsLink = document.getElementById('open-options');
+  if (optionsLink) {
+    optionsLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+  }
+  
   const initDuration = Date.now() - initStartTime;
   log(`Popup fully initialized in ${initDuration}ms`);
 }